@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { toUtf8Bytes } from "ethers";
+import {
+    defaultPathTemplate,
+    detectWordlist,
+    generateWalletFromMnemonic,
+    listChains,
+    normalizeMnemonic,
+    validatePathTemplate,
+} from "../src/lib/index.js";
+
+// Derives wallets from a recovery phrase file exactly as the app does, for
+// scripts. Secrets are read from files so they stay out of shell history.
+
+const USAGE = `Usage: wallet <command> --mnemonic-file <file> [options]
+
+Commands:
+  derive    Print the address at --index
+  list      Print --count addresses starting at --index
+  export    Print the private key at --index, or write its key file to --out
+  sign      Sign --message or the bytes of --message-file with the key at --index
+
+Options:
+  --chain <name|id>          solana (501) or ethereum (60); default solana
+  --index <n>                account index; default 0
+  --count <n>                accounts to list; default 5
+  --path-template <path>     e.g. "m/44'/60'/n'/0/0"; default is the chain's first preset
+  --passphrase-file <file>   BIP39 passphrase
+  --password-file <file>     key file password, for formats that need one
+  --out <file>               where export writes the key file
+  --json                     print JSON instead of text`;
+
+const OPTIONS = {
+    "mnemonic-file": { type: "string" },
+    "passphrase-file": { type: "string" },
+    "password-file": { type: "string" },
+    chain: { type: "string", default: "solana" },
+    index: { type: "string", default: "0" },
+    count: { type: "string", default: "5" },
+    "path-template": { type: "string" },
+    message: { type: "string" },
+    "message-file": { type: "string" },
+    out: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+// Secret files usually end with a newline that is not part of the secret
+const readSecret = (file) => readFileSync(file, "utf8").replace(/\r?\n$/, "");
+
+const parseCount = (value, name) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`--${name} must be a whole number`);
+    }
+    return number;
+};
+
+const findChain = (value) => {
+    const chain = listChains().find((candidate) =>
+        candidate.id === value || candidate.name.toLowerCase() === value.toLowerCase()
+    );
+    if (!chain) {
+        throw new Error(`Unknown chain "${value}"; use ${listChains().map((candidate) => candidate.name.toLowerCase()).join(" or ")}`);
+    }
+    return chain;
+};
+
+const loadDerivation = (options) => {
+    if (!options["mnemonic-file"]) {
+        throw new Error("--mnemonic-file is required");
+    }
+    const mnemonic = normalizeMnemonic(readSecret(options["mnemonic-file"]));
+    if (!detectWordlist(mnemonic)) {
+        throw new Error("The mnemonic file does not hold a valid BIP39 phrase");
+    }
+
+    const chain = findChain(options.chain);
+    const pathTemplate = options["path-template"] ?? defaultPathTemplate(chain);
+    const templateError = validatePathTemplate(chain, pathTemplate);
+    if (templateError) {
+        throw new Error(templateError);
+    }
+
+    const passphrase = options["passphrase-file"] ? readSecret(options["passphrase-file"]) : "";
+    return {
+        chain,
+        derive: (accountIndex) => generateWalletFromMnemonic(chain.id, mnemonic, passphrase, accountIndex, pathTemplate),
+    };
+};
+
+const print = (options, json, text) => {
+    console.log(options.json ? JSON.stringify(json, null, 2) : text);
+};
+
+const describe = ({ accountIndex, path, publicKey }) => ({ index: accountIndex, path, address: publicKey });
+
+const commands = {
+    derive: (options) => {
+        const { derive } = loadDerivation(options);
+        const wallet = describe(derive(parseCount(options.index, "index")));
+        print(options, wallet, `${wallet.path}\t${wallet.address}`);
+    },
+
+    list: (options) => {
+        const { derive } = loadDerivation(options);
+        const start = parseCount(options.index, "index");
+        const wallets = Array.from({ length: parseCount(options.count, "count") }, (_, i) => describe(derive(start + i)));
+        print(options, wallets, wallets.map(({ index, path, address }) => `${index}\t${path}\t${address}`).join("\n"));
+    },
+
+    export: async (options) => {
+        const { chain, derive } = loadDerivation(options);
+        const wallet = derive(parseCount(options.index, "index"));
+
+        if (!options.out) {
+            print(options, { ...describe(wallet), privateKey: wallet.privateKey }, wallet.privateKey);
+            return;
+        }
+        if (chain.keyFileFormat.needsPassword && !options["password-file"]) {
+            throw new Error(`${chain.keyFileFormat.name} files need --password-file`);
+        }
+        const password = options["password-file"] ? readSecret(options["password-file"]) : "";
+        const { content } = await chain.exportKey(wallet, password);
+        writeFileSync(options.out, content, { mode: 0o600 });
+        print(options, { ...describe(wallet), file: options.out }, `Wrote ${chain.keyFileFormat.name} for ${wallet.publicKey} to ${options.out}`);
+    },
+
+    sign: async (options) => {
+        const { chain, derive } = loadDerivation(options);
+        if ((options.message === undefined) === (options["message-file"] === undefined)) {
+            throw new Error("Pass either --message or --message-file");
+        }
+        const message = options["message-file"]
+            ? new Uint8Array(readFileSync(options["message-file"]))
+            : toUtf8Bytes(options.message);
+
+        const wallet = derive(parseCount(options.index, "index"));
+        const signature = await chain.signMessage(wallet, message);
+        print(options, { ...describe(wallet), signature }, signature);
+    },
+};
+
+const main = async () => {
+    const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const command = commands[positionals[0]];
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+    await command(options);
+};
+
+main().catch((error) => {
+    console.error(`wallet: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,107 @@
+import { ethers } from "ethers";
+import { PublicKey, SystemProgram, Transaction, VersionedTransaction } from "@solana/web3.js";
+import nacl from "tweetnacl";
+import { installProvider } from "../src/connect/provider.js";
+
+// A stand-in dapp for trying the vault's provider by hand. It talks to the
+// providers only through the public interfaces a real dapp would use.
+
+installProvider({ vaultUrl: new URL("../", window.location.href).href });
+
+const log = (label, value) => {
+    const output = document.getElementById("log");
+    output.textContent = `${label}: ${typeof value === "string" ? value : JSON.stringify(value, null, 2)}\n\n${output.textContent}`;
+};
+
+const run = (id, action) => {
+    document.getElementById(id).addEventListener("click", () => {
+        action().catch((error) => log(`${id} failed`, `${error.code ?? ""} ${error.message}`));
+    });
+};
+
+// Ethereum: discover providers the EIP-6963 way rather than trusting
+// whatever sits on window.ethereum
+let ethereum = null;
+window.addEventListener("eip6963:announceProvider", ({ detail }) => {
+    if (detail.info.name === "Crypto Vault") {
+        ethereum = detail.provider;
+    }
+});
+window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+let ethAccount = null;
+
+run("eth-connect", async () => {
+    [ethAccount] = await ethereum.request({ method: "eth_requestAccounts" });
+    log("eth_requestAccounts", ethAccount);
+    log("eth_chainId", await ethereum.request({ method: "eth_chainId" }));
+});
+
+run("eth-sign", async () => {
+    const message = `Sign in to the demo dapp\nNonce: ${crypto.randomUUID()}`;
+    const signature = await ethereum.request({
+        method: "personal_sign",
+        params: [ethers.hexlify(ethers.toUtf8Bytes(message)), ethAccount],
+    });
+    log("personal_sign", { signature, recovered: ethers.verifyMessage(message, signature) });
+});
+
+run("eth-send", async () => {
+    const hash = await ethereum.request({
+        method: "eth_sendTransaction",
+        params: [{ from: ethAccount, to: ethAccount, value: "0x0" }],
+    });
+    log("eth_sendTransaction", hash);
+});
+
+// Solana: the app side of the Wallet Standard handshake
+let solanaWallet = null;
+const registerApi = {
+    register: (wallet) => {
+        if (wallet.name === "Crypto Vault") {
+            solanaWallet = wallet;
+        }
+        return () => {};
+    },
+};
+window.addEventListener("wallet-standard:register-wallet", ({ detail: callback }) => callback(registerApi));
+window.dispatchEvent(new CustomEvent("wallet-standard:app-ready", { detail: registerApi }));
+
+run("sol-connect", async () => {
+    const { accounts } = await solanaWallet.features["standard:connect"].connect();
+    log("standard:connect", accounts.map((account) => account.address));
+});
+
+run("sol-sign-message", async () => {
+    const [account] = solanaWallet.accounts;
+    const message = new TextEncoder().encode(`Sign in to the demo dapp\nNonce: ${crypto.randomUUID()}`);
+    const [{ signature }] = await solanaWallet.features["solana:signMessage"].signMessage({ account, message });
+    log("solana:signMessage", {
+        signature: ethers.encodeBase58(signature),
+        valid: nacl.sign.detached.verify(message, signature, account.publicKey),
+    });
+});
+
+// Signing needs no network; the blockhash is a placeholder, so the
+// transaction is never meant to be sent
+run("sol-sign-transaction", async () => {
+    const [account] = solanaWallet.accounts;
+    const owner = new PublicKey(account.address);
+    const transaction = new Transaction({ feePayer: owner, recentBlockhash: "11111111111111111111111111111111" })
+        .add(SystemProgram.transfer({ fromPubkey: owner, toPubkey: owner, lamports: 1 }));
+
+    const [{ signedTransaction }] = await solanaWallet.features["solana:signTransaction"].signTransaction({
+        account,
+        transaction: transaction.serialize({ requireAllSignatures: false }),
+    });
+    const signed = VersionedTransaction.deserialize(signedTransaction);
+    log("solana:signTransaction", {
+        signature: ethers.encodeBase58(signed.signatures[0]),
+        valid: nacl.sign.detached.verify(signed.message.serialize(), signed.signatures[0], account.publicKey),
+    });
+});
+
+run("sol-disconnect", async () => {
+    await solanaWallet.features["standard:disconnect"].disconnect();
+    log("standard:disconnect", "ok");
+});
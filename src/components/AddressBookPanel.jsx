@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+import { findContact, searchContacts } from "../lib/addressBook";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const AddressBookPanel = ({ addressBook, onAdd, onDelete, onCopy }) => {
+    const [open, setOpen] = useState(false);
+    const [query, setQuery] = useState("");
+
+    const [chainId, setChainId] = useState(listChains()[0].id);
+    const [name, setName] = useState("");
+    const [address, setAddress] = useState("");
+    const [note, setNote] = useState("");
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+
+        const chain = getChain(chainId);
+        if (!chain.isValidAddress(address.trim())) {
+            toast.error(`Invalid ${chain.name} address`);
+            return;
+        }
+        const existing = findContact(addressBook, chainId, chain.normalizeAddress(address.trim()));
+        if (existing) {
+            toast.warning(`This address is already saved as "${existing.name}"`);
+            return;
+        }
+
+        onAdd({ chain: chainId, address: address.trim(), name: name.trim(), note: note.trim() });
+        setName("");
+        setAddress("");
+        setNote("");
+    };
+
+    const contacts = searchContacts(addressBook, query);
+
+    return (
+        <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">📇</span>
+                    Address Book
+                    <span className="text-sm font-normal text-gray-400 ml-2">({addressBook.length})</span>
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-6">
+                    <form className="flex flex-col gap-2" onSubmit={handleAdd}>
+                        <div className="flex flex-col md:flex-row gap-2">
+                            <select className={inputClass} value={chainId} onChange={(e) => setChainId(e.target.value)}>
+                                {listChains().map((option) => (
+                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                className={inputClass}
+                                placeholder="Name"
+                                onChange={(e) => setName(e.target.value)}
+                                value={name}
+                            />
+                            <input
+                                type="text"
+                                className={`${inputClass} flex-1 font-mono`}
+                                placeholder="Address"
+                                onChange={(e) => setAddress(e.target.value)}
+                                value={address}
+                            />
+                        </div>
+                        <div className="flex flex-col md:flex-row gap-2">
+                            <input
+                                type="text"
+                                className={`${inputClass} flex-1`}
+                                placeholder="Note (optional)"
+                                onChange={(e) => setNote(e.target.value)}
+                                value={note}
+                            />
+                            <button
+                                type="submit"
+                                disabled={!name.trim() || !address.trim()}
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                            >
+                                Save Contact
+                            </button>
+                        </div>
+                    </form>
+
+                    {addressBook.length > 0 && (
+                        <input
+                            type="search"
+                            className={inputClass}
+                            placeholder="Search by name, address or note"
+                            onChange={(e) => setQuery(e.target.value)}
+                            value={query}
+                        />
+                    )}
+
+                    <div className="flex flex-col gap-2">
+                        {contacts.map((contact) => {
+                            const chain = getChain(contact.chain);
+
+                            return (
+                                <div
+                                    key={contact.id}
+                                    className="flex items-center gap-3 bg-gray-950 border border-gray-800 rounded-lg p-3"
+                                >
+                                    <span className={chain.textClass}>{chain.icon}</span>
+                                    <div className="flex-1 min-w-0">
+                                        <p className="text-gray-200 font-medium">{contact.name}</p>
+                                        <p
+                                            className="text-gray-400 font-mono text-sm truncate cursor-pointer hover:text-green-400"
+                                            title="Click to copy"
+                                            onClick={() => onCopy(contact.address)}
+                                        >
+                                            {contact.address}
+                                        </p>
+                                        {contact.note && <p className="text-sm text-gray-500">{contact.note}</p>}
+                                    </div>
+                                    <button
+                                        className="text-red-500 hover:text-red-400 transition-colors p-2 rounded-full hover:bg-gray-800"
+                                        title="Delete contact"
+                                        onClick={() => {
+                                            if (window.confirm(`Delete "${contact.name}" from the address book?`)) {
+                                                onDelete(contact.id);
+                                            }
+                                        }}
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            );
+                        })}
+                        {addressBook.length > 0 && contacts.length === 0 && (
+                            <p className="text-gray-500">No contacts match "{query}".</p>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AddressBookPanel;
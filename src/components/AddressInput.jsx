@@ -0,0 +1,31 @@
+import React, { useId } from "react";
+import { searchContacts } from "../lib/addressBook";
+
+// Recipient field that suggests address book entries for `chainId` while
+// typing; the browser filters the list by name and address
+const AddressInput = ({ chainId, addressBook, value, onChange, className, placeholder, autoFocus }) => {
+    const listId = useId();
+
+    return (
+        <>
+            <input
+                type="text"
+                className={className}
+                placeholder={placeholder}
+                autoFocus={autoFocus}
+                list={listId}
+                onChange={(e) => onChange(e.target.value)}
+                value={value}
+            />
+            <datalist id={listId}>
+                {searchContacts(addressBook, "", chainId).map((contact) => (
+                    <option key={contact.id} value={contact.address}>
+                        {contact.name}{contact.note ? ` — ${contact.note}` : ""}
+                    </option>
+                ))}
+            </datalist>
+        </>
+    );
+};
+
+export default AddressInput;
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { parseUnits } from "ethers";
+import { toast } from "react-toastify";
+import { getChain } from "../lib/chains";
+import { getRpcUrl } from "../lib/networks";
+import { describeRpcError } from "../lib/balances";
+import { isWatchOnlyWallet, walletLabel } from "../lib/wallets";
+import { addFrame, encodePayload, isFrame, parsePayload, toFrames } from "../lib/airgap";
+import AddressInput from "./AddressInput";
+import QrCode from "./QrCode";
+import QrScanner from "./QrScanner";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+const primaryButtonClass = "px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50";
+const secondaryButtonClass = "px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white disabled:opacity-50";
+
+const FRAME_INTERVAL_MS = 400;
+const STATUS_POLL_MS = 2000;
+
+const TABS = {
+    prepare: "Prepare (online)",
+    sign: "Sign (offline)",
+    broadcast: "Broadcast (online)",
+};
+
+const ReviewRows = ({ rows }) => (
+    <div>
+        {rows.map(({ label, value }) => (
+            <div key={label} className="flex flex-col md:flex-row md:justify-between gap-1 md:gap-4 py-2 border-b border-gray-800">
+                <span className="text-gray-400 shrink-0">{label}</span>
+                <span className="text-gray-200 font-mono text-sm break-all md:text-right">{value}</span>
+            </div>
+        ))}
+    </div>
+);
+
+// Cycles through the frames of a long payload so a camera can pick them
+// all up; short payloads fit in one code
+const AnimatedQrCode = ({ payload }) => {
+    const frames = useMemo(() => toFrames(payload), [payload]);
+    const [index, setIndex] = useState(0);
+
+    useEffect(() => {
+        if (frames.length < 2) {
+            return;
+        }
+        const timer = setInterval(() => setIndex((current) => (current + 1) % frames.length), FRAME_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [frames]);
+
+    const current = index % frames.length;
+
+    return (
+        <div className="flex flex-col items-center gap-2">
+            <QrCode value={frames[current]} ecLevel="L" className="w-72 h-72 rounded-lg" />
+            {frames.length > 1 && (
+                <span className="text-sm text-gray-500">Part {current + 1} of {frames.length}</span>
+            )}
+        </div>
+    );
+};
+
+const PayloadOutput = ({ label, payload, onCopy }) => (
+    <div className="flex flex-col gap-3">
+        <span className="text-lg font-medium text-gray-300">{label}</span>
+        <AnimatedQrCode payload={payload} />
+        <textarea className={`${inputClass} font-mono text-xs`} rows={4} readOnly value={payload} />
+        <button className={`self-end ${secondaryButtonClass}`} onClick={() => onCopy(payload)}>
+            Copy as text
+        </button>
+    </div>
+);
+
+// Takes a payload pasted as text, whole or as frames one per line, or
+// scanned frame by frame from the camera
+const PayloadInput = ({ placeholder, onPayload }) => {
+    const [text, setText] = useState("");
+    const [scanning, setScanning] = useState(false);
+    const [progress, setProgress] = useState(null);
+    // The scanner reports frames faster than renders, so frames fold into
+    // this rather than into state
+    const scanned = useRef(null);
+
+    const resetProgress = () => {
+        scanned.current = null;
+        setProgress(null);
+    };
+
+    const handleScan = useCallback((frame) => {
+        const current = scanned.current;
+        try {
+            scanned.current = addFrame(current, frame);
+            if (current?.received && scanned.current.hash && scanned.current.hash !== current.hash) {
+                toast.warning("These parts belong to a different payload; starting over");
+            }
+        } catch (error) {
+            console.error("Error reading QR frames:", error);
+            toast.error(`${error.message}; starting over`);
+            scanned.current = null;
+        }
+        setProgress(scanned.current);
+    }, []);
+
+    useEffect(() => {
+        if (progress?.payload) {
+            setScanning(false);
+            resetProgress();
+            onPayload(progress.payload);
+        }
+    }, [progress, onPayload]);
+
+    // Pasted frames go one per line. Anything else, even over several
+    // lines, is a single payload.
+    const handlePaste = () => {
+        try {
+            const lines = text.split(/\s*\n\s*/).filter(Boolean);
+            const result = lines.every(isFrame) ? lines.reduce(addFrame, null) : addFrame(null, text);
+            if (!result?.payload) {
+                toast.error(`Only ${result?.received ?? 0} of ${result?.total ?? "?"} parts pasted`);
+                return;
+            }
+            onPayload(result.payload);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-3">
+            <textarea
+                className={`${inputClass} font-mono text-xs`}
+                rows={4}
+                placeholder={placeholder}
+                onChange={(e) => setText(e.target.value)}
+                value={text}
+            />
+            <div className="flex justify-end gap-2">
+                <button
+                    className={secondaryButtonClass}
+                    onClick={() => {
+                        setScanning(!scanning);
+                        resetProgress();
+                    }}
+                >
+                    {scanning ? "Stop Camera" : "Scan QR"}
+                </button>
+                <button className={primaryButtonClass} disabled={!text.trim()} onClick={handlePaste}>
+                    Review
+                </button>
+            </div>
+            {scanning && (
+                <div className="flex flex-col items-center gap-2">
+                    <QrScanner onScan={handleScan} />
+                    {progress?.total && (
+                        <span className="text-sm text-gray-400">Scanned {progress.received} of {progress.total} parts</span>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const PrepareTab = ({ wallets, settings, addressBook, onCopy }) => {
+    const [walletIndex, setWalletIndex] = useState(0);
+    const [recipient, setRecipient] = useState("");
+    const [amountInput, setAmountInput] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [payload, setPayload] = useState("");
+
+    const wallet = wallets[walletIndex] ?? wallets[0];
+    if (!wallet) {
+        return <p className="text-gray-400">Add a wallet, or watch the address of the offline wallet, to prepare transfers.</p>;
+    }
+    const chain = getChain(wallet.chain);
+
+    const handlePrepare = async (e) => {
+        e.preventDefault();
+
+        if (!chain.isValidAddress(recipient.trim())) {
+            toast.error(`Invalid ${chain.name} address`);
+            return;
+        }
+        let amount;
+        try {
+            amount = parseUnits(amountInput.trim(), chain.decimals);
+        } catch {
+            toast.error(`Amount must be a number with at most ${chain.decimals} decimals`);
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const data = await chain.prepareUnsigned(
+                getRpcUrl(settings, chain.id),
+                wallet.publicKey,
+                chain.normalizeAddress(recipient.trim()),
+                amount
+            );
+            setPayload(encodePayload({ kind: "unsigned", chainId: chain.id, signer: wallet.publicKey, data }));
+        } catch (error) {
+            console.error("Error preparing unsigned transaction:", error);
+            toast.error(`Could not prepare transaction: ${describeRpcError(error)}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-4">
+            <p className="text-sm text-gray-500">
+                Builds an unsigned transfer with the current nonce, fees or blockhash. Watch-only wallets work here. Solana transactions expire about a minute after they are prepared.
+            </p>
+            <form className="flex flex-col gap-3" onSubmit={handlePrepare}>
+                <select
+                    className={`${inputClass} truncate`}
+                    value={walletIndex}
+                    onChange={(e) => {
+                        setWalletIndex(Number(e.target.value));
+                        setPayload("");
+                    }}
+                >
+                    {wallets.map((candidate, index) => (
+                        <option key={index} value={index}>
+                            {getChain(candidate.chain).icon} {walletLabel(candidate)} {candidate.publicKey}
+                        </option>
+                    ))}
+                </select>
+                <AddressInput
+                    chainId={chain.id}
+                    addressBook={addressBook}
+                    className={inputClass}
+                    placeholder="Recipient address or contact"
+                    onChange={setRecipient}
+                    value={recipient}
+                />
+                <input
+                    type="text"
+                    inputMode="decimal"
+                    className={inputClass}
+                    placeholder={`Amount in ${chain.symbol}`}
+                    onChange={(e) => setAmountInput(e.target.value)}
+                    value={amountInput}
+                />
+                <button type="submit" className={`self-end ${primaryButtonClass}`} disabled={busy || !recipient || !amountInput}>
+                    {busy ? "Preparing..." : "Prepare Unsigned Transaction"}
+                </button>
+            </form>
+            {payload && <PayloadOutput label="Unsigned transaction" payload={payload} onCopy={onCopy} />}
+        </div>
+    );
+};
+
+const SignTab = ({ wallets, onCopy }) => {
+    const [request, setRequest] = useState(null);
+    const [signerKey, setSignerKey] = useState("");
+    const [payload, setPayload] = useState("");
+
+    const handlePayload = useCallback((text) => {
+        try {
+            const parsed = parsePayload(text, "unsigned");
+            const expected = [parsed.signer, ...parsed.decoded.signers].filter(Boolean);
+            const match = wallets.find((wallet) => wallet.chain === parsed.chain.id && expected.includes(wallet.publicKey));
+
+            setRequest(parsed);
+            setSignerKey(match?.publicKey ?? wallets.find((wallet) => wallet.chain === parsed.chain.id)?.publicKey ?? "");
+            setPayload("");
+        } catch (error) {
+            console.error("Error decoding unsigned transaction:", error);
+            toast.error(error.message);
+        }
+    }, [wallets]);
+
+    const candidates = request ? wallets.filter((wallet) => wallet.chain === request.chain.id) : [];
+    const signer = candidates.find((wallet) => wallet.publicKey === signerKey);
+    const expected = request ? [request.signer, ...request.decoded.signers].filter(Boolean) : [];
+
+    const handleSign = async () => {
+        try {
+            const data = await request.chain.signUnsigned(signer, request.data);
+            setPayload(encodePayload({ kind: "signed", chainId: request.chain.id, data }));
+        } catch (error) {
+            console.error("Error signing transaction:", error);
+            toast.error(`Could not sign: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="flex flex-col gap-4">
+            <p className="text-sm text-gray-500">
+                Meant for a machine that never goes online. Nothing here touches the network.
+            </p>
+            <PayloadInput placeholder="Unsigned transaction, or its QR parts one per line" onPayload={handlePayload} />
+
+            {request && (
+                <div className="flex flex-col gap-3">
+                    <span className="text-lg font-medium text-gray-300 flex items-center gap-2">
+                        <span className={request.chain.textClass}>{request.chain.icon}</span>
+                        Review {request.chain.name} transaction
+                    </span>
+                    <ReviewRows rows={request.decoded.rows} />
+                    {candidates.length > 0 ? (
+                        <select className={`${inputClass} truncate`} value={signerKey} onChange={(e) => setSignerKey(e.target.value)}>
+                            {candidates.map((wallet) => (
+                                <option key={wallet.publicKey} value={wallet.publicKey}>
+                                    {walletLabel(wallet)} {wallet.publicKey}
+                                </option>
+                            ))}
+                        </select>
+                    ) : (
+                        <p className="text-sm text-red-400">This profile has no {request.chain.name} wallet that can sign.</p>
+                    )}
+                    {signer && expected.length > 0 && !expected.includes(signer.publicKey) && (
+                        <p className="text-sm text-yellow-400">This wallet is not the one the transaction expects to sign it.</p>
+                    )}
+                    <button className={`self-end ${primaryButtonClass}`} disabled={!signer} onClick={handleSign}>
+                        Sign
+                    </button>
+                </div>
+            )}
+
+            {payload && <PayloadOutput label="Signed transaction" payload={payload} onCopy={onCopy} />}
+        </div>
+    );
+};
+
+const BroadcastTab = ({ settings }) => {
+    const [signed, setSigned] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [status, setStatus] = useState(null);
+
+    const handlePayload = useCallback((text) => {
+        try {
+            setSigned(parsePayload(text, "signed"));
+            setStatus(null);
+        } catch (error) {
+            console.error("Error decoding signed transaction:", error);
+            toast.error(error.message);
+        }
+    }, []);
+
+    const handleBroadcast = async () => {
+        setBusy(true);
+        try {
+            await signed.chain.broadcastTransfer(getRpcUrl(settings, signed.chain.id), signed.decoded.transfer);
+            setStatus("pending");
+            toast.info("Transaction sent");
+        } catch (error) {
+            console.error("Error broadcasting transaction:", error);
+            toast.error(`Broadcast failed: ${describeRpcError(error)}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    useEffect(() => {
+        if (status !== "pending") {
+            return;
+        }
+
+        const timer = setInterval(async () => {
+            try {
+                const nextStatus = await signed.chain.getTransferStatus(getRpcUrl(settings, signed.chain.id), signed.decoded.transfer);
+                if (nextStatus !== "pending") {
+                    setStatus(nextStatus);
+                }
+            } catch (error) {
+                console.error("Error checking transaction status:", error);
+            }
+        }, STATUS_POLL_MS);
+
+        return () => clearInterval(timer);
+    }, [status, signed, settings]);
+
+    return (
+        <div className="flex flex-col gap-4">
+            <PayloadInput placeholder="Signed transaction, or its QR parts one per line" onPayload={handlePayload} />
+
+            {signed && (
+                <div className="flex flex-col gap-3">
+                    <span className="text-lg font-medium text-gray-300 flex items-center gap-2">
+                        <span className={signed.chain.textClass}>{signed.chain.icon}</span>
+                        Review {signed.chain.name} transaction
+                    </span>
+                    <ReviewRows rows={[{ label: "Transaction", value: signed.decoded.id }, ...signed.decoded.rows]} />
+                    {status ? (
+                        <span className={`self-end capitalize ${status === "confirmed" ? "text-green-400" : status === "failed" ? "text-red-400" : "text-yellow-400"}`}>
+                            {status === "pending" ? "Waiting for confirmation..." : status}
+                        </span>
+                    ) : (
+                        <button
+                            className="self-end px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 disabled:opacity-50"
+                            disabled={busy}
+                            onClick={handleBroadcast}
+                        >
+                            {busy ? "Broadcasting..." : "Broadcast"}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Cold storage round trip: the online machine prepares an unsigned
+// transaction, the offline vault signs it, and the online machine
+// broadcasts the result. Payloads cross the gap as QR codes or text.
+const AirGapPanel = ({ wallets, settings, addressBook, onCopy }) => {
+    const [open, setOpen] = useState(false);
+    const [tab, setTab] = useState("sign");
+
+    return (
+        <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">📷</span>
+                    Air-Gapped Signing
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-4">
+                    <div className="flex flex-wrap gap-2">
+                        {Object.entries(TABS).map(([id, name]) => (
+                            <button
+                                key={id}
+                                className={`px-3 py-2 border rounded-lg transition-colors ${tab === id ? "border-blue-500 text-white bg-gray-800" : "border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"}`}
+                                onClick={() => setTab(id)}
+                            >
+                                {name}
+                            </button>
+                        ))}
+                    </div>
+
+                    {tab === "prepare" && (
+                        <PrepareTab wallets={wallets} settings={settings} addressBook={addressBook} onCopy={onCopy} />
+                    )}
+                    {tab === "sign" && (
+                        <SignTab wallets={wallets.filter((wallet) => !isWatchOnlyWallet(wallet))} onCopy={onCopy} />
+                    )}
+                    {tab === "broadcast" && <BroadcastTab settings={settings} />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AirGapPanel;
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { getChain } from "../lib/chains";
+import { NAMESPACES } from "../lib/dapp";
+import { isWatchOnlyWallet, walletLabel } from "../lib/wallets";
+
+const titles = {
+    eth_requestAccounts: "Connect",
+    connect: "Connect",
+    personal_sign: "Sign message",
+    signMessage: "Sign message",
+    eth_sendTransaction: "Send transaction",
+    signTransaction: "Sign transaction",
+};
+
+const Row = ({ label, children }) => (
+    <div className="flex flex-col gap-1 py-2 border-b border-gray-800">
+        <span className="text-sm text-gray-400">{label}</span>
+        <span className="text-gray-200 font-mono text-sm break-all whitespace-pre-wrap max-h-40 overflow-y-auto">{children}</span>
+    </div>
+);
+
+// Every dapp request that grants an account or uses a key stops here
+const ApprovalModal = ({ request, account, wallets, busy, onApprove, onReject }) => {
+    const chain = getChain(NAMESPACES[request.namespace]);
+    const candidates = wallets.filter((wallet) => wallet.chain === chain.id && !isWatchOnlyWallet(wallet));
+    const [selected, setSelected] = useState(candidates[0]?.publicKey ?? "");
+
+    const connecting = Boolean(request.handler.connects);
+    const wallet = wallets.find((candidate) => candidate.chain === chain.id && candidate.publicKey === account);
+
+    let payload = [];
+    let payloadError = null;
+    try {
+        payload = request.handler.describe?.(request.params) ?? [];
+    } catch (error) {
+        payloadError = error.message;
+    }
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <div className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left">
+                <h2 className="text-2xl font-bold text-blue-400 mb-2 flex items-center gap-2">
+                    <span className={chain.textClass}>{chain.icon}</span>
+                    {titles[request.method] ?? request.method}
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Requested by <span className="text-gray-200 font-medium break-all">{request.origin}</span>
+                </p>
+
+                <div className="mb-6">
+                    {connecting ? (
+                        candidates.length > 0 ? (
+                            <div className="flex flex-col gap-2">
+                                <span className="text-sm text-gray-400">Share this {chain.name} account</span>
+                                <select
+                                    className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200 truncate"
+                                    value={selected}
+                                    onChange={(e) => setSelected(e.target.value)}
+                                >
+                                    {candidates.map((candidate) => (
+                                        <option key={candidate.publicKey} value={candidate.publicKey}>
+                                            {walletLabel(candidate)} {candidate.publicKey}
+                                        </option>
+                                    ))}
+                                </select>
+                                <p className="text-sm text-gray-500">
+                                    The site will see this address and can ask for signatures. Each signature is approved separately.
+                                </p>
+                            </div>
+                        ) : (
+                            <p className="text-gray-400">This profile has no {chain.name} wallet that can sign.</p>
+                        )
+                    ) : (
+                        <>
+                            <Row label="Account">{wallet ? `${walletLabel(wallet)} · ${account}` : account}</Row>
+                            {payload.map(({ label, value }) => (
+                                <Row key={label} label={label}>{value}</Row>
+                            ))}
+                            {payloadError && (
+                                <p className="mt-2 text-sm text-red-400">Could not decode the request: {payloadError}</p>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <div className="flex justify-end gap-2">
+                    <button
+                        className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                        disabled={busy}
+                        onClick={onReject}
+                    >
+                        Reject
+                    </button>
+                    <button
+                        className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        disabled={busy || payloadError !== null || (connecting && !selected)}
+                        onClick={() => onApprove(connecting ? selected : account)}
+                    >
+                        {busy ? "Working..." : connecting ? "Connect" : "Approve"}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ApprovalModal;
@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { MIN_PASSWORD_LENGTH } from "../lib/vault";
+import { createBackup, readBackup } from "../lib/backup";
+import { downloadFile } from "../lib/download";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const BackupPanel = ({ state, onImport }) => {
+    const [open, setOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const [exportPassword, setExportPassword] = useState("");
+    const [exportConfirm, setExportConfirm] = useState("");
+
+    const [importFile, setImportFile] = useState(null);
+    const [importPassword, setImportPassword] = useState("");
+    const [importMode, setImportMode] = useState("merge");
+
+    const handleExport = async (e) => {
+        e.preventDefault();
+
+        if (exportPassword.length < MIN_PASSWORD_LENGTH) {
+            toast.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        if (exportPassword !== exportConfirm) {
+            toast.error("Passwords do not match");
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const backup = await createBackup(state, exportPassword);
+            downloadFile(JSON.stringify(backup, null, 2), `crypto-vault-backup-${backup.createdAt.slice(0, 10)}.json`);
+            setExportPassword("");
+            setExportConfirm("");
+            toast.success("Backup exported");
+        } catch (error) {
+            console.error("Error exporting backup:", error);
+            toast.error("Failed to export backup");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImport = async (e) => {
+        e.preventDefault();
+
+        if (importMode === "replace" && !window.confirm("Replace every profile in this vault with the backup? This action cannot be undone.")) {
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const backupState = await readBackup(await importFile.text(), importPassword);
+            onImport(backupState, importMode);
+            setImportPassword("");
+            toast.success(importMode === "merge" ? "Backup merged" : "Backup restored");
+        } catch (error) {
+            console.error("Error importing backup:", error);
+            toast.error(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="mb-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">💾</span>
+                    Backup & Restore
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 grid gap-8 md:grid-cols-2">
+                    <form className="flex flex-col gap-3" onSubmit={handleExport}>
+                        <h3 className="text-lg font-medium text-gray-300">Export</h3>
+                        <p className="text-sm text-gray-500">
+                            Saves every profile, recovery phrase, wallet and setting to an encrypted file.
+                        </p>
+                        <input
+                            type="password"
+                            className={inputClass}
+                            placeholder="Backup password"
+                            autoComplete="new-password"
+                            onChange={(e) => setExportPassword(e.target.value)}
+                            value={exportPassword}
+                        />
+                        <input
+                            type="password"
+                            className={inputClass}
+                            placeholder="Confirm backup password"
+                            autoComplete="new-password"
+                            onChange={(e) => setExportConfirm(e.target.value)}
+                            value={exportConfirm}
+                        />
+                        <button
+                            type="submit"
+                            disabled={busy || !exportPassword}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            Download Backup
+                        </button>
+                    </form>
+
+                    <form className="flex flex-col gap-3" onSubmit={handleImport}>
+                        <h3 className="text-lg font-medium text-gray-300">Import</h3>
+                        <input
+                            type="file"
+                            accept="application/json,.json"
+                            className="text-gray-400"
+                            onChange={(e) => setImportFile(e.target.files[0] ?? null)}
+                        />
+                        <input
+                            type="password"
+                            className={inputClass}
+                            placeholder="Backup password"
+                            autoComplete="off"
+                            onChange={(e) => setImportPassword(e.target.value)}
+                            value={importPassword}
+                        />
+                        <select className={inputClass} value={importMode} onChange={(e) => setImportMode(e.target.value)}>
+                            <option value="merge">Merge into current profiles</option>
+                            <option value="replace">Replace current profiles</option>
+                        </select>
+                        <button
+                            type="submit"
+                            disabled={busy || !importFile || !importPassword}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            Restore Backup
+                        </button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BackupPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { MIN_PASSWORD_LENGTH } from "../lib/vault";
+
+const ChangePasswordModal = ({ onSubmit, onClose }) => {
+    const [currentPassword, setCurrentPassword] = useState("");
+    const [newPassword, setNewPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            toast.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            toast.error("Passwords do not match");
+            return;
+        }
+
+        setBusy(true);
+        try {
+            await onSubmit(currentPassword, newPassword);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-6">Change Password</h2>
+                <div className="flex flex-col gap-4">
+                    <input
+                        type="password"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder="Current password"
+                        autoComplete="current-password"
+                        autoFocus
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        value={currentPassword}
+                    />
+                    <input
+                        type="password"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder="New password"
+                        autoComplete="new-password"
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        value={newPassword}
+                    />
+                    <input
+                        type="password"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder="Confirm new password"
+                        autoComplete="new-password"
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        value={confirmPassword}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={busy || !currentPassword || !newPassword}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            {busy ? "Working..." : "Change Password"}
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ChangePasswordModal;
@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { mnemonicToSeedSync } from "bip39";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+import { detectWordlist, normalizeMnemonic } from "../lib/mnemonic";
+import { describePathTemplate, getPathTemplate, validatePathTemplate } from "../lib/paths";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const MAX_PREVIEW_COUNT = 20;
+
+// Picks the path template the active profile derives new wallets with, and
+// previews the addresses it produces before anything is saved
+const DerivationPathPanel = ({ profile, mnemonic, passphrase, onSave }) => {
+    const [open, setOpen] = useState(false);
+    const [chainId, setChainId] = useState(listChains()[0].id);
+    const [draft, setDraft] = useState(() => getPathTemplate(profile, listChains()[0]));
+    const [previewCount, setPreviewCount] = useState(5);
+    const [preview, setPreview] = useState(null);
+
+    const chain = getChain(chainId);
+    const savedTemplate = getPathTemplate(profile, chain);
+    const error = validatePathTemplate(chain, draft);
+    const presetName = describePathTemplate(chain, draft.trim());
+
+    const selectChain = (nextChainId) => {
+        setChainId(nextChainId);
+        setDraft(getPathTemplate(profile, getChain(nextChainId)));
+        setPreview(null);
+    };
+
+    const updateDraft = (template) => {
+        setDraft(template);
+        setPreview(null);
+    };
+
+    const handlePreview = () => {
+        if (!detectWordlist(mnemonic)) {
+            toast.error("Enter or generate a valid recovery phrase to preview addresses");
+            return;
+        }
+
+        try {
+            const seed = mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase);
+            setPreview(Array.from({ length: previewCount }, (_, accountIndex) => ({
+                accountIndex,
+                ...chain.deriveWallet(seed, accountIndex, draft.trim()),
+            })));
+        } catch (error) {
+            console.error("Path preview error:", error);
+            toast.error(`Could not derive addresses: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="mb-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">🧭</span>
+                    Derivation Paths
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-4">
+                    <p className="text-sm text-gray-500">
+                        Use n for the account index and ' for hardened segments. Wallets already in the list keep the path they were derived with.
+                    </p>
+                    <div className="flex flex-col md:flex-row gap-2">
+                        <select className={inputClass} value={chainId} onChange={(e) => selectChain(e.target.value)}>
+                            {listChains().map((option) => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            className={inputClass}
+                            value={presetName === "Custom" ? "" : draft.trim()}
+                            onChange={(e) => updateDraft(e.target.value)}
+                        >
+                            {chain.pathPresets.map((preset) => (
+                                <option key={preset.template} value={preset.template}>{preset.name}</option>
+                            ))}
+                            <option value="" disabled>Custom</option>
+                        </select>
+                        <input
+                            type="text"
+                            className={`${inputClass} flex-1 font-mono`}
+                            placeholder={chain.pathPresets[0].template}
+                            onChange={(e) => updateDraft(e.target.value)}
+                            value={draft}
+                        />
+                    </div>
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+                    <div className="flex flex-wrap items-center justify-between gap-4">
+                        <span className="text-sm text-gray-400">
+                            Current: <span className="font-mono">{savedTemplate}</span> ({describePathTemplate(chain, savedTemplate)})
+                        </span>
+                        <div className="flex items-center gap-2">
+                            <label className="flex items-center gap-2 text-gray-400">
+                                First
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={MAX_PREVIEW_COUNT}
+                                    className="w-20 p-2 border bg-gray-950 border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                                    value={previewCount}
+                                    onChange={(e) => setPreviewCount(Math.min(MAX_PREVIEW_COUNT, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                                />
+                            </label>
+                            <button
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white disabled:opacity-50"
+                                disabled={Boolean(error) || !mnemonic}
+                                onClick={handlePreview}
+                            >
+                                Preview
+                            </button>
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                                disabled={Boolean(error) || draft.trim() === savedTemplate}
+                                onClick={() => onSave(chainId, draft.trim())}
+                            >
+                                Use for New Wallets
+                            </button>
+                        </div>
+                    </div>
+                    {preview && (
+                        <div className="flex flex-col gap-1">
+                            {preview.map((wallet) => (
+                                <div
+                                    key={wallet.accountIndex}
+                                    className="flex justify-between gap-4 bg-gray-950 border border-gray-800 rounded-lg px-3 py-2 font-mono text-sm"
+                                >
+                                    <span className="text-gray-500 whitespace-nowrap">{wallet.path}</span>
+                                    <span className="text-gray-300 truncate">{wallet.publicKey}</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DerivationPathPanel;
@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getChain } from "../lib/chains";
+import { MIN_PASSWORD_LENGTH } from "../lib/vault";
+import { downloadFile } from "../lib/download";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const ExportKeyModal = ({ wallet, onExported, onClose }) => {
+    const chain = getChain(wallet.chain);
+    const { name: formatName, needsPassword } = chain.keyFileFormat;
+
+    const [password, setPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (needsPassword) {
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                toast.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+                return;
+            }
+            if (password !== confirmPassword) {
+                toast.error("Passwords do not match");
+                return;
+            }
+        }
+
+        setBusy(true);
+        try {
+            const { filename, content } = await chain.exportKey(wallet, password);
+            downloadFile(content, filename);
+            onExported();
+            toast.success("Key file exported");
+            onClose();
+        } catch (error) {
+            console.error("Key export error:", error);
+            toast.error("Failed to export key file");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Export Key File</h2>
+                <p className="text-sm text-gray-500 mb-6 truncate">{wallet.publicKey}</p>
+                <div className="flex flex-col gap-4">
+                    <p className="text-gray-300">
+                        Format: {formatName}
+                    </p>
+                    {needsPassword ? (
+                        <>
+                            <input
+                                type="password"
+                                className={inputClass}
+                                placeholder="Keystore password"
+                                autoComplete="new-password"
+                                autoFocus
+                                onChange={(e) => setPassword(e.target.value)}
+                                value={password}
+                            />
+                            <input
+                                type="password"
+                                className={inputClass}
+                                placeholder="Confirm keystore password"
+                                autoComplete="new-password"
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                value={confirmPassword}
+                            />
+                        </>
+                    ) : (
+                        <p className="text-yellow-400">
+                            This file holds the unencrypted private key. Anyone who reads it controls the account.
+                        </p>
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={busy}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            {busy ? "Encrypting..." : "Download"}
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ExportKeyModal;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from "react";
+import { getChain } from "../lib/chains";
+import { formatBalance } from "../lib/balances";
+import { historyToCsv } from "../lib/history";
+import { downloadFile } from "../lib/download";
+
+const ROWS_PER_PAGE = 10;
+
+const directions = {
+    in: { glyph: "↓", label: "Received", className: "text-green-400" },
+    out: { glyph: "↑", label: "Sent", className: "text-red-400" },
+    other: { glyph: "•", label: "Other", className: "text-gray-400" },
+};
+
+const shorten = (value) => (value.length > 12 ? `${value.slice(0, 6)}…${value.slice(-4)}` : value);
+
+const HistoryRow = ({ chain, item, onCopy }) => {
+    const direction = directions[item.direction];
+
+    return (
+        <li className="flex flex-col gap-1 px-3 py-2 text-sm">
+            <div className="flex justify-between items-center gap-4">
+                <span className={`flex items-center gap-2 ${direction.className}`}>
+                    <span>{direction.glyph}</span>
+                    {direction.label}
+                    {item.status === "failed" && (
+                        <span className="text-xs px-1.5 rounded bg-red-900/40 text-red-300 border border-red-600/40">Failed</span>
+                    )}
+                </span>
+                <span className="text-gray-200 font-medium">{formatBalance(chain, BigInt(item.amount))}</span>
+            </div>
+            <div className="flex justify-between items-center gap-4 text-xs text-gray-500">
+                <span
+                    className="font-mono truncate cursor-pointer hover:text-gray-300"
+                    title={`${item.id}. Click to copy`}
+                    onClick={() => onCopy(item.id)}
+                >
+                    {item.counterparty ? `${item.direction === "in" ? "from" : "to"} ${shorten(item.counterparty)}` : shorten(item.id)}
+                </span>
+                <span className="shrink-0">
+                    {item.timestamp ? new Date(item.timestamp).toLocaleString() : "—"}
+                    {BigInt(item.fee) > 0n && ` · fee ${formatBalance(chain, BigInt(item.fee))}`}
+                </span>
+            </div>
+        </li>
+    );
+};
+
+// Shows cached history straight away and pages through it locally,
+// fetching older pages from the network only past the end of the cache
+const HistoryPanel = ({ wallet, entry, onLoad, onCopy }) => {
+    const chain = getChain(wallet.chain);
+    const [page, setPage] = useState(0);
+
+    const items = entry?.items ?? [];
+    const rows = items.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE);
+    const hasNext = items.length > (page + 1) * ROWS_PER_PAGE || Boolean(entry?.cursor);
+
+    useEffect(() => {
+        if (!entry) {
+            onLoad(null);
+        }
+    }, [entry, onLoad]);
+
+    const handleNext = () => {
+        if (items.length <= (page + 1) * ROWS_PER_PAGE) {
+            onLoad(entry.cursor);
+        }
+        setPage(page + 1);
+    };
+
+    const handleExport = () => {
+        downloadFile(historyToCsv(chain, items), `${chain.symbol.toLowerCase()}-${wallet.publicKey}-history.csv`, "text/csv");
+    };
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex justify-between items-center gap-2 text-sm">
+                <span className="text-gray-500">
+                    {entry?.fetchedAt ? `Updated ${new Date(entry.fetchedAt).toLocaleString()}` : ""}
+                </span>
+                <div className="flex gap-2">
+                    <button
+                        className="px-2 py-1 rounded-lg border border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white transition-colors disabled:opacity-50"
+                        disabled={entry?.loading}
+                        onClick={() => {
+                            setPage(0);
+                            onLoad(null);
+                        }}
+                    >
+                        Refresh
+                    </button>
+                    <button
+                        className="px-2 py-1 rounded-lg border border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white transition-colors disabled:opacity-50"
+                        title="Export the cached history as CSV"
+                        disabled={items.length === 0}
+                        onClick={handleExport}
+                    >
+                        CSV
+                    </button>
+                </div>
+            </div>
+
+            {entry?.error && <span className="text-sm text-red-400" title={entry.error}>{entry.error}</span>}
+
+            {rows.length > 0 ? (
+                <ul className="divide-y divide-gray-800 rounded-lg border border-gray-800 bg-gray-950">
+                    {rows.map((item) => (
+                        <HistoryRow key={item.id} chain={chain} item={item} onCopy={onCopy} />
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500">
+                    {entry?.loading || !entry ? "Loading transactions..." : "No transactions found."}
+                </p>
+            )}
+
+            {(page > 0 || hasNext) && (
+                <div className="flex justify-between items-center text-sm">
+                    <button
+                        className="px-2 py-1 rounded-lg text-gray-400 hover:text-white disabled:opacity-30"
+                        disabled={page === 0}
+                        onClick={() => setPage(page - 1)}
+                    >
+                        ← Newer
+                    </button>
+                    <span className="text-gray-500">Page {page + 1}</span>
+                    <button
+                        className="px-2 py-1 rounded-lg text-gray-400 hover:text-white disabled:opacity-30"
+                        disabled={!hasNext || entry?.loading}
+                        onClick={handleNext}
+                    >
+                        Older →
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const ImportKeyModal = ({ onImport, onClose }) => {
+    const [chainId, setChainId] = useState(listChains()[0].id);
+    const [keyInput, setKeyInput] = useState("");
+    const [password, setPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const chain = getChain(chainId);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            setKeyInput(await file.text());
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        setBusy(true);
+        try {
+            const key = await chain.importKey(keyInput, password);
+            onImport(chainId, key);
+        } catch (error) {
+            console.error("Key import error:", error);
+            toast.error(`Could not import key: ${error.shortMessage ?? error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Import Private Key</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Imported accounts sit beside your derived wallets but cannot be recovered from the recovery phrase.
+                </p>
+                <div className="flex flex-col gap-4">
+                    <select className={inputClass} value={chainId} onChange={(e) => setChainId(e.target.value)}>
+                        {listChains().map((option) => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                    </select>
+                    <textarea
+                        className={`${inputClass} font-mono text-sm`}
+                        rows={4}
+                        placeholder={`Private key or ${chain.keyFileFormat.name} contents`}
+                        onChange={(e) => setKeyInput(e.target.value)}
+                        value={keyInput}
+                    />
+                    <input type="file" className="text-gray-400" onChange={handleFile} />
+                    {chain.keyFileFormat.needsPassword && (
+                        <input
+                            type="password"
+                            className={inputClass}
+                            placeholder="Keystore password (only for keystore files)"
+                            autoComplete="off"
+                            onChange={(e) => setPassword(e.target.value)}
+                            value={password}
+                        />
+                    )}
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={busy || !keyInput}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            {busy ? "Decrypting..." : "Import"}
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ImportKeyModal;
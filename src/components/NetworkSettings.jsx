@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { listChains } from "../lib/chains";
+import { NETWORK_IDS, getNetworkSettings } from "../lib/networks";
+
+const NetworkSettings = ({ settings, onChange }) => {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="mb-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">🌐</span>
+                    Network Settings
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-6">
+                    {listChains().map((chain) => {
+                        const { network, customRpcUrl } = getNetworkSettings(settings, chain.id);
+
+                        return (
+                            <div key={chain.id} className="flex flex-col gap-2">
+                                <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
+                                    <span className={chain.textClass}>{chain.icon}</span>
+                                    {chain.name}
+                                </span>
+                                <div className="flex flex-col md:flex-row gap-2">
+                                    <select
+                                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                                        value={network}
+                                        onChange={(e) => onChange(chain.id, { network: e.target.value })}
+                                    >
+                                        {NETWORK_IDS.map((id) => (
+                                            <option key={id} value={id}>
+                                                {id === "custom" ? "Custom RPC" : chain.networks[id].name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="text"
+                                        className="flex-1 p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200 disabled:text-gray-500"
+                                        placeholder="https://..."
+                                        disabled={network !== "custom"}
+                                        value={network === "custom" ? customRpcUrl : chain.networks[network].rpcUrl}
+                                        onChange={(e) => onChange(chain.id, { customRpcUrl: e.target.value.trim() })}
+                                    />
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NetworkSettings;
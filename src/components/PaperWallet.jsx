@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import { createPortal } from "react-dom";
+import { getChain } from "../lib/chains";
+import { isImportedWallet, walletLabel } from "../lib/wallets";
+import QrCode from "./QrCode";
+
+const KeyBlock = ({ label, value, qrTitle }) => (
+    <div className="flex gap-4 items-start">
+        <QrCode value={value} className="w-32 h-32 shrink-0 border border-gray-300" title={qrTitle} />
+        <div className="flex flex-col gap-1 min-w-0">
+            <span className="text-xs uppercase tracking-wide text-gray-500">{label}</span>
+            <span className="font-mono text-sm break-all">{value}</span>
+        </div>
+    </div>
+);
+
+// Rendered outside #root so that the print stylesheet in index.css can hide
+// the rest of the app while it is open
+const PaperWallet = ({ profileName, words, passphrase, wallets, onClose }) => {
+    const [includePhrase, setIncludePhrase] = useState(words.length > 0);
+    const [includeKeys, setIncludeKeys] = useState(true);
+
+    return createPortal(
+        <div className="paper-wallet fixed inset-0 z-50 overflow-y-auto bg-white text-gray-900 text-left print:static print:overflow-visible">
+            <div className="sticky top-0 flex flex-wrap items-center justify-between gap-4 px-8 py-4 bg-gray-900 text-gray-200 print:hidden">
+                <div className="flex flex-wrap gap-4">
+                    {words.length > 0 && (
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={includePhrase} onChange={(e) => setIncludePhrase(e.target.checked)} />
+                            Recovery phrase
+                        </label>
+                    )}
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={includeKeys} onChange={(e) => setIncludeKeys(e.target.checked)} />
+                        Private keys
+                    </label>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                        onClick={onClose}
+                    >
+                        Close
+                    </button>
+                    <button
+                        className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20"
+                        onClick={() => window.print()}
+                    >
+                        Print
+                    </button>
+                </div>
+            </div>
+
+            <div className="max-w-3xl mx-auto p-8 flex flex-col gap-8">
+                <div>
+                    <h1 className="text-3xl font-bold">Paper Wallet</h1>
+                    <p className="text-gray-600">{profileName} · printed {new Date().toLocaleDateString()}</p>
+                    <p className="mt-2 text-sm text-gray-600">
+                        Anyone holding this page controls these funds. Store it like cash and never photograph it.
+                    </p>
+                </div>
+
+                {includePhrase && (
+                    <section className="break-inside-avoid">
+                        <h2 className="text-xl font-bold mb-3">Recovery Phrase</h2>
+                        <ol className="grid grid-cols-3 gap-2">
+                            {words.map((word, index) => (
+                                <li key={index} className="border border-gray-400 rounded px-3 py-2 font-mono">
+                                    <span className="text-gray-500 mr-2">{index + 1}.</span>
+                                    {word}
+                                </li>
+                            ))}
+                        </ol>
+                        {passphrase && (
+                            <p className="mt-3 text-sm font-medium">
+                                These wallets also need the BIP39 passphrase, which is not printed here.
+                            </p>
+                        )}
+                    </section>
+                )}
+
+                {wallets.map((wallet) => {
+                    const chain = getChain(wallet.chain);
+                    return (
+                        <section key={`${wallet.chain}:${wallet.publicKey}`} className="break-inside-avoid border-t border-gray-300 pt-6 flex flex-col gap-4">
+                            <h2 className="text-xl font-bold">
+                                {chain.name} · {walletLabel(wallet)}
+                                <span className="ml-3 text-sm font-normal text-gray-600 font-mono">
+                                    {isImportedWallet(wallet) ? "Imported key" : wallet.path}
+                                </span>
+                            </h2>
+                            <KeyBlock label="Address" value={wallet.publicKey} qrTitle={`${chain.name} address`} />
+                            {includeKeys && (
+                                <KeyBlock label="Private key" value={wallet.privateKey} qrTitle={`${chain.name} private key`} />
+                            )}
+                        </section>
+                    );
+                })}
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default PaperWallet;
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+
+// Asks for the vault password again before a secret leaves the vault.
+// `onConfirm` checks the password and closes the prompt when it is right.
+const PasswordPromptModal = ({ title, subject, message, confirmLabel, onConfirm, onClose }) => {
+    const [password, setPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        setBusy(true);
+        try {
+            await onConfirm(password);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">{title}</h2>
+                <p className="text-sm text-gray-500 mb-6 truncate">{subject}</p>
+                <div className="flex flex-col gap-4">
+                    <p className="text-gray-300">{message}</p>
+                    <input
+                        type="password"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder="Vault password"
+                        autoComplete="current-password"
+                        autoFocus
+                        onChange={(e) => setPassword(e.target.value)}
+                        value={password}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={busy || !password}
+                            className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 disabled:opacity-50"
+                        >
+                            {busy ? "Checking..." : confirmLabel}
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PasswordPromptModal;
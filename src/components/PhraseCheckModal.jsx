@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { createPhraseCheck } from "../lib/phraseCheck";
+
+// Shows a new recovery phrase, then asks for a few of its words back before
+// the profile counts as backed up
+const PhraseCheckModal = ({ words, onVerified, onClose }) => {
+    // "write" -> "check"
+    const [step, setStep] = useState("write");
+    const [questions, setQuestions] = useState(() => createPhraseCheck(words));
+    const [answers, setAnswers] = useState({});
+
+    const handleCheck = () => {
+        if (questions.some(({ position }) => answers[position] !== words[position])) {
+            toast.error("Some words do not match. Check your written copy and try again");
+            setQuestions(createPhraseCheck(words));
+            setAnswers({});
+            setStep("write");
+            return;
+        }
+
+        onVerified();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <div className="w-full max-w-2xl max-h-full overflow-y-auto rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left">
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Back Up Your Recovery Phrase</h2>
+
+                {step === "write" && (
+                    <>
+                        <p className="text-sm text-gray-500 mb-6">
+                            Write these words down in order and keep them offline. Next you will be asked for some of them.
+                        </p>
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-6">
+                            {words.map((word, index) => (
+                                <div
+                                    key={index}
+                                    className="bg-gray-950 border border-gray-800 rounded-lg p-3 flex items-center"
+                                >
+                                    <span className="text-blue-400 mr-2 w-6 text-center">{index + 1}</span>
+                                    <span className="text-gray-300">{word}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <button
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                onClick={onClose}
+                            >
+                                Later
+                            </button>
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 text-white"
+                                onClick={() => setStep("check")}
+                            >
+                                I Wrote It Down
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === "check" && (
+                    <>
+                        <p className="text-sm text-gray-500 mb-6">
+                            Pick the word at each position from your written copy.
+                        </p>
+                        <div className="flex flex-col gap-6 mb-6">
+                            {questions.map(({ position, choices }) => (
+                                <div key={position} className="flex flex-col gap-2">
+                                    <span className="text-gray-300">Word #{position + 1}</span>
+                                    <div className="flex flex-wrap gap-2">
+                                        {choices.map((choice) => (
+                                            <button
+                                                key={choice}
+                                                className={`px-3 py-2 border rounded-lg transition-colors ${answers[position] === choice ? "border-blue-500 text-white bg-gray-800" : "border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"}`}
+                                                onClick={() => setAnswers({ ...answers, [position]: choice })}
+                                            >
+                                                {choice}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <button
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                onClick={() => setStep("write")}
+                            >
+                                Back
+                            </button>
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 text-white disabled:opacity-50"
+                                disabled={questions.some(({ position }) => !answers[position])}
+                                onClick={handleCheck}
+                            >
+                                Verify
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PhraseCheckModal;
@@ -0,0 +1,73 @@
+import React from "react";
+import { toast } from "react-toastify";
+
+const promptForName = (message, defaultValue = "") => {
+    const name = window.prompt(message, defaultValue);
+    if (name === null) {
+        return null;
+    }
+    if (!name.trim()) {
+        toast.error("Profile name cannot be empty");
+        return null;
+    }
+    return name.trim();
+};
+
+const ProfileBar = ({ profiles, activeProfileId, onSwitch, onCreate, onRename, onDelete }) => {
+    const activeProfile = profiles.find((profile) => profile.id === activeProfileId);
+
+    return (
+        <div className="mb-8 flex flex-col md:flex-row justify-between gap-4 md:items-center rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-4 shadow-lg">
+            <div className="flex flex-wrap gap-2">
+                {profiles.map((profile) => (
+                    <button
+                        key={profile.id}
+                        className={`px-3 py-2 border rounded-lg transition-colors flex items-center gap-2 ${profile.id === activeProfileId ? "border-blue-500 text-white bg-gray-800" : "border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"}`}
+                        onClick={() => profile.id !== activeProfileId && onSwitch(profile.id)}
+                    >
+                        {profile.name}
+                        <span className="text-sm text-gray-500">({profile.wallets.length})</span>
+                    </button>
+                ))}
+                <button
+                    className="px-3 py-2 border border-dashed border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                    onClick={() => {
+                        const name = promptForName("Name for the new profile");
+                        if (name) {
+                            onCreate(name);
+                        }
+                    }}
+                >
+                    + New Profile
+                </button>
+            </div>
+            {activeProfile && (
+                <div className="flex gap-2">
+                    <button
+                        className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                        onClick={() => {
+                            const name = promptForName("Rename profile", activeProfile.name);
+                            if (name) {
+                                onRename(activeProfile.id, name);
+                            }
+                        }}
+                    >
+                        Rename
+                    </button>
+                    <button
+                        className="px-3 py-2 border border-red-900 rounded-lg hover:bg-red-900/30 transition-colors text-red-500 hover:text-red-400"
+                        onClick={() => {
+                            if (window.confirm(`Delete profile "${activeProfile.name}" and its recovery phrase? Other profiles are not affected. This action cannot be undone.`)) {
+                                onDelete(activeProfile.id);
+                            }
+                        }}
+                    >
+                        Delete
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProfileBar;
@@ -0,0 +1,35 @@
+import React, { useMemo } from "react";
+import { createQrCode } from "../lib/qr";
+
+const QUIET_ZONE = 4;
+
+// Dark modules drawn as one SVG path on a white quiet zone, so the code
+// scales cleanly on screen and in print
+const QrCode = ({ value, ecLevel = "M", className = "w-64 h-64", title }) => {
+    const { size, path } = useMemo(() => {
+        const qr = createQrCode(value, ecLevel);
+        const segments = [];
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) {
+                segments.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+            }
+        }));
+        return { size: qr.size + QUIET_ZONE * 2, path: segments.join("") };
+    }, [value, ecLevel]);
+
+    return (
+        <svg
+            xmlns="http://www.w3.org/2000/svg"
+            viewBox={`0 0 ${size} ${size}`}
+            className={className}
+            shapeRendering="crispEdges"
+            role="img"
+            aria-label={title ?? "QR code"}
+        >
+            <rect width={size} height={size} fill="#fff" />
+            <path d={path} fill="#000" />
+        </svg>
+    );
+};
+
+export default QrCode;
@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const SCAN_INTERVAL_MS = 200;
+
+// Reads QR codes from the camera with the browser's BarcodeDetector.
+// `onScan` gets the text of every code seen, repeats included, and should
+// be stable across renders.
+const QrScanner = ({ onScan }) => {
+    const videoRef = useRef(null);
+    const [error, setError] = useState(
+        "BarcodeDetector" in window ? null : "This browser cannot read QR codes from the camera. Paste the payload instead."
+    );
+
+    useEffect(() => {
+        if (!("BarcodeDetector" in window)) {
+            return;
+        }
+
+        const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+        let stream = null;
+        let timer = null;
+        let cancelled = false;
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
+            .then((mediaStream) => {
+                stream = mediaStream;
+                if (cancelled) {
+                    stream.getTracks().forEach((track) => track.stop());
+                    return;
+                }
+                videoRef.current.srcObject = stream;
+                videoRef.current.play().catch((playError) => {
+                    console.error("Camera playback error:", playError);
+                });
+
+                // Each scan is scheduled after the previous one finishes, so a
+                // slow detect never overlaps the next
+                const scan = async () => {
+                    try {
+                        if (videoRef.current?.readyState >= 2) {
+                            const codes = await detector.detect(videoRef.current);
+                            if (!cancelled) {
+                                codes.forEach((code) => onScan(code.rawValue));
+                            }
+                        }
+                    } catch {
+                        // A frame that cannot be read, or a video torn down
+                        // mid-scan, only skips this frame
+                    }
+                    if (!cancelled) {
+                        timer = setTimeout(scan, SCAN_INTERVAL_MS);
+                    }
+                };
+                timer = setTimeout(scan, SCAN_INTERVAL_MS);
+            })
+            .catch((cameraError) => {
+                console.error("Camera error:", cameraError);
+                setError("Could not open the camera. Paste the payload instead.");
+            });
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            stream?.getTracks().forEach((track) => track.stop());
+        };
+    }, [onScan]);
+
+    if (error) {
+        return <p className="text-sm text-yellow-400">{error}</p>;
+    }
+    return <video ref={videoRef} className="w-full max-w-sm rounded-xl border border-gray-700 bg-black" muted playsInline />;
+};
+
+export default QrScanner;
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { parseUnits } from "ethers";
+import { getChain } from "../lib/chains";
+import { getNetworkSettings } from "../lib/networks";
+import QrCode from "./QrCode";
+
+const ReceiveModal = ({ wallet, settings, onCopy, onClose }) => {
+    const chain = getChain(wallet.chain);
+    const { network } = getNetworkSettings(settings, chain.id);
+    const [amountInput, setAmountInput] = useState("");
+
+    let amount = null;
+    let amountError = null;
+    if (amountInput.trim()) {
+        try {
+            amount = parseUnits(amountInput.trim(), chain.decimals);
+            if (amount <= 0n) {
+                amountError = "Amount must be greater than zero";
+            }
+        } catch {
+            amountError = `Amount must be a number with at most ${chain.decimals} decimals`;
+        }
+    }
+    const uri = chain.paymentUri(wallet.publicKey, { amount: amountError ? null : amount, network });
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <div className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left">
+                <h2 className="text-2xl font-bold text-blue-400 mb-2 flex items-center gap-2">
+                    <span className={chain.textClass}>{chain.icon}</span>
+                    Receive {chain.symbol}
+                </h2>
+                <p
+                    className="text-sm text-gray-500 mb-6 break-all cursor-pointer hover:text-gray-300 transition-colors"
+                    title="Click to copy the address"
+                    onClick={() => onCopy(wallet.publicKey)}
+                >
+                    {wallet.publicKey}
+                </p>
+                <div className="flex flex-col gap-4">
+                    <div className="flex justify-center">
+                        <QrCode value={uri} className="w-64 h-64 rounded-lg" title={`${chain.name} payment request`} />
+                    </div>
+                    <input
+                        type="text"
+                        inputMode="decimal"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder={`Amount in ${chain.symbol} (optional)`}
+                        onChange={(e) => setAmountInput(e.target.value)}
+                        value={amountInput}
+                    />
+                    {amountError && <p className="text-sm text-red-400">{amountError}</p>}
+                    <p
+                        className="font-mono text-xs text-gray-400 break-all bg-gray-950 border border-gray-800 rounded-lg p-3 cursor-pointer hover:border-blue-500/30 transition-all"
+                        title="Click to copy the payment link"
+                        onClick={() => onCopy(uri)}
+                    >
+                        {uri}
+                    </p>
+                </div>
+                <div className="flex justify-end mt-6">
+                    <button
+                        className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                        onClick={onClose}
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReceiveModal;
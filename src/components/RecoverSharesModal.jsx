@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { combineMnemonicShares } from "../lib/shares";
+
+const RecoverSharesModal = ({ onRecover, onClose }) => {
+    const [sharesInput, setSharesInput] = useState("");
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const shares = sharesInput.split("\n").map((line) => line.trim()).filter(Boolean);
+        try {
+            onRecover(combineMnemonicShares(shares));
+        } catch (error) {
+            console.error("Error combining shares:", error);
+            toast.error(`Could not recover phrase: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-2xl rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Recover from Shares</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Enter one share per line. Each share says how many are needed.
+                </p>
+                <div className="flex flex-col gap-4">
+                    <textarea
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200 font-mono text-sm"
+                        rows={6}
+                        autoFocus
+                        onChange={(e) => setSharesInput(e.target.value)}
+                        value={sharesInput}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!sharesInput.trim()}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            Recover
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default RecoverSharesModal;
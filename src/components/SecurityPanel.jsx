@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import { getChain } from "../lib/chains";
+import { walletLabel } from "../lib/wallets";
+import {
+    AUDIT_EVENTS,
+    AUTO_HIDE_OPTIONS,
+    CLIPBOARD_CLEAR_OPTIONS,
+    formatDelay,
+    getSecuritySettings,
+} from "../lib/security";
+
+const selectClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const AUDIT_PAGE_SIZE = 50;
+
+const entryKey = (entry) => (entry.publicKey ? `${entry.chain}:${entry.publicKey}` : `profile:${entry.profileId}`);
+
+// Wallets that were deleted since still show by address
+const describeSubject = (entry, profiles) => {
+    const profile = profiles.find((candidate) => candidate.id === entry.profileId);
+    if (!entry.publicKey) {
+        return profile ? `Profile "${profile.name}"` : "Deleted profile";
+    }
+    const wallet = profile?.wallets.find((candidate) =>
+        candidate.chain === entry.chain && candidate.publicKey === entry.publicKey
+    );
+    const chain = getChain(entry.chain);
+    return wallet ? `${chain.icon} ${walletLabel(wallet)} · ${entry.publicKey}` : `${chain.icon} ${entry.publicKey}`;
+};
+
+const SecurityPanel = ({ settings, auditLog, profiles, onChange }) => {
+    const [open, setOpen] = useState(false);
+    const [filter, setFilter] = useState("all");
+    const [shown, setShown] = useState(AUDIT_PAGE_SIZE);
+    const { clipboardClearSeconds, autoHideSeconds } = getSecuritySettings(settings);
+
+    const subjects = [...new Map(auditLog.map((entry) => [entryKey(entry), entry])).values()];
+    const entries = auditLog.filter((entry) => filter === "all" || entryKey(entry) === filter);
+
+    return (
+        <div className="mb-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">🛡</span>
+                    Security
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-6">
+                    <div className="grid md:grid-cols-2 gap-4">
+                        <label className="flex flex-col gap-2">
+                            <span className="text-gray-400">Clear copied secrets after</span>
+                            <select
+                                className={selectClass}
+                                value={clipboardClearSeconds}
+                                onChange={(e) => onChange({ clipboardClearSeconds: Number(e.target.value) })}
+                            >
+                                {CLIPBOARD_CLEAR_OPTIONS.map((seconds) => (
+                                    <option key={seconds} value={seconds}>{formatDelay(seconds)}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex flex-col gap-2">
+                            <span className="text-gray-400">Hide revealed secrets after</span>
+                            <select
+                                className={selectClass}
+                                value={autoHideSeconds}
+                                onChange={(e) => onChange({ autoHideSeconds: Number(e.target.value) })}
+                            >
+                                {AUTO_HIDE_OPTIONS.map((seconds) => (
+                                    <option key={seconds} value={seconds}>{formatDelay(seconds)}</option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                    <p className="text-sm text-gray-500">
+                        Private keys and the recovery phrase are also hidden whenever this tab loses focus.
+                    </p>
+
+                    <div className="flex flex-col gap-2">
+                        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2">
+                            <span className="text-lg font-medium text-gray-400">Audit log</span>
+                            {subjects.length > 1 && (
+                                <select
+                                    className={`${selectClass} truncate md:max-w-sm`}
+                                    value={filter}
+                                    onChange={(e) => {
+                                        setFilter(e.target.value);
+                                        setShown(AUDIT_PAGE_SIZE);
+                                    }}
+                                >
+                                    <option value="all">Everything</option>
+                                    {subjects.map((entry) => (
+                                        <option key={entryKey(entry)} value={entryKey(entry)}>
+                                            {describeSubject(entry, profiles)}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                        {entries.length === 0 ? (
+                            <p className="text-gray-500">No secrets have been revealed or copied yet.</p>
+                        ) : (
+                            <ul className="divide-y divide-gray-800 rounded-lg border border-gray-800 bg-gray-950">
+                                {entries.slice(0, shown).map((entry, index) => (
+                                    <li key={index} className="flex flex-col md:flex-row md:justify-between gap-1 md:gap-4 px-3 py-2">
+                                        <span className="text-gray-200 shrink-0">{AUDIT_EVENTS[entry.event] ?? entry.event}</span>
+                                        <span className="text-gray-400 font-mono text-sm truncate">{describeSubject(entry, profiles)}</span>
+                                        <span className="text-gray-500 text-sm shrink-0">{new Date(entry.at).toLocaleString()}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {entries.length > shown && (
+                            <button
+                                className="self-center px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                onClick={() => setShown(shown + AUDIT_PAGE_SIZE)}
+                            >
+                                Show older
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SecurityPanel;
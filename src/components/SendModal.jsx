@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from "react";
+import { parseUnits } from "ethers";
+import { toast } from "react-toastify";
+import { getChain } from "../lib/chains";
+import { getNetworkSettings, getRpcUrl } from "../lib/networks";
+import { formatBalance, describeRpcError } from "../lib/balances";
+import { findContact } from "../lib/addressBook";
+import AddressInput from "./AddressInput";
+
+const STATUS_POLL_MS = 2000;
+
+const statusClasses = {
+    pending: "text-yellow-400",
+    confirmed: "text-green-400",
+    failed: "text-red-400",
+};
+
+const SummaryRow = ({ label, children }) => (
+    <div className="flex justify-between gap-4 py-2 border-b border-gray-800">
+        <span className="text-gray-400">{label}</span>
+        <span className="text-gray-200 truncate">{children}</span>
+    </div>
+);
+
+const SendModal = ({ wallet, settings, addressBook, onClose, onComplete }) => {
+    const chain = getChain(wallet.chain);
+    const { network } = getNetworkSettings(settings, chain.id);
+    const networkName = network === "custom" ? "Custom RPC" : chain.networks[network].name;
+
+    // "form" -> "review" -> "tracking"
+    const [step, setStep] = useState("form");
+    const [recipient, setRecipient] = useState("");
+    const [amountInput, setAmountInput] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [transfer, setTransfer] = useState(null);
+    const [status, setStatus] = useState("pending");
+
+    const handleReview = async (e) => {
+        e.preventDefault();
+
+        if (!chain.isValidAddress(recipient.trim())) {
+            toast.error(`Invalid ${chain.name} address`);
+            return;
+        }
+        const to = chain.normalizeAddress(recipient.trim());
+
+        let amount;
+        try {
+            amount = parseUnits(amountInput.trim(), chain.decimals);
+        } catch {
+            toast.error(`Amount must be a number with at most ${chain.decimals} decimals`);
+            return;
+        }
+        if (amount <= 0n) {
+            toast.error("Amount must be greater than zero");
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const rpcUrl = getRpcUrl(settings, chain.id);
+            const [balance] = await chain.getBalances(rpcUrl, [wallet.publicKey]);
+            const prepared = await chain.prepareTransfer(rpcUrl, wallet, to, amount);
+
+            if (amount + prepared.fee > balance) {
+                toast.error(`Insufficient balance: ${formatBalance(chain, balance)} available`);
+                return;
+            }
+
+            setTransfer({ ...prepared, to, amount });
+            setStep("review");
+        } catch (error) {
+            console.error("Error preparing transfer:", error);
+            toast.error(`Could not prepare transaction: ${describeRpcError(error)}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleBroadcast = async () => {
+        setBusy(true);
+        try {
+            await chain.broadcastTransfer(getRpcUrl(settings, chain.id), transfer);
+            setStatus("pending");
+            setStep("tracking");
+            toast.info("Transaction sent");
+        } catch (error) {
+            console.error("Error broadcasting transfer:", error);
+            toast.error(`Broadcast failed: ${describeRpcError(error)}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    useEffect(() => {
+        if (step !== "tracking" || status !== "pending") {
+            return;
+        }
+
+        const timer = setInterval(async () => {
+            try {
+                const nextStatus = await chain.getTransferStatus(getRpcUrl(settings, chain.id), transfer);
+                if (nextStatus !== "pending") {
+                    setStatus(nextStatus);
+                    onComplete();
+                }
+            } catch (error) {
+                // Keep polling; a flaky endpoint should not lose track of
+                // a transaction that is already out
+                console.error("Error checking transfer status:", error);
+            }
+        }, STATUS_POLL_MS);
+
+        return () => clearInterval(timer);
+    }, [step, status, chain, settings, transfer, onComplete]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <div className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left">
+                <h2 className="text-2xl font-bold text-blue-400 mb-2 flex items-center gap-2">
+                    <span className={chain.textClass}>{chain.icon}</span>
+                    Send {chain.symbol}
+                </h2>
+                <p className="text-sm text-gray-500 mb-6 truncate">
+                    From {wallet.publicKey} on {networkName}
+                </p>
+
+                {step === "form" && (
+                    <form className="flex flex-col gap-4" onSubmit={handleReview}>
+                        <AddressInput
+                            chainId={chain.id}
+                            addressBook={addressBook}
+                            className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                            placeholder="Recipient address or contact"
+                            autoFocus
+                            onChange={setRecipient}
+                            value={recipient}
+                        />
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                            placeholder={`Amount in ${chain.symbol}`}
+                            onChange={(e) => setAmountInput(e.target.value)}
+                            value={amountInput}
+                        />
+                        <div className="flex justify-end gap-2">
+                            <button
+                                type="button"
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                onClick={onClose}
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={busy || !recipient || !amountInput}
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                            >
+                                {busy ? "Estimating fee..." : "Review"}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {step === "review" && (
+                    <div className="flex flex-col gap-4">
+                        <div>
+                            <SummaryRow label="To">
+                                {findContact(addressBook, chain.id, transfer.to)?.name ?? transfer.to}
+                            </SummaryRow>
+                            {findContact(addressBook, chain.id, transfer.to) && (
+                                <SummaryRow label="Address">{transfer.to}</SummaryRow>
+                            )}
+                            <SummaryRow label="Amount">{formatBalance(chain, transfer.amount)}</SummaryRow>
+                            <SummaryRow label="Network fee (max)">{formatBalance(chain, transfer.fee)}</SummaryRow>
+                            <SummaryRow label="Total">{formatBalance(chain, transfer.amount + transfer.fee)}</SummaryRow>
+                            <SummaryRow label="Signed transaction">{transfer.id}</SummaryRow>
+                        </div>
+                        <p className="text-sm text-gray-500">
+                            The transaction is signed but not sent. Check the details before broadcasting; this cannot be undone.
+                        </p>
+                        <div className="flex justify-end gap-2">
+                            <button
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                disabled={busy}
+                                onClick={() => setStep("form")}
+                            >
+                                Back
+                            </button>
+                            <button
+                                disabled={busy}
+                                className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 disabled:opacity-50"
+                                onClick={handleBroadcast}
+                            >
+                                {busy ? "Broadcasting..." : "Broadcast"}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {step === "tracking" && (
+                    <div className="flex flex-col gap-4">
+                        <div>
+                            <SummaryRow label="Status">
+                                <span className={`capitalize ${statusClasses[status]}`}>
+                                    {status === "pending" ? "Waiting for confirmation..." : status}
+                                </span>
+                            </SummaryRow>
+                            <SummaryRow label="Transaction">{transfer.id}</SummaryRow>
+                        </div>
+                        <div className="flex justify-end">
+                            <button
+                                className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                onClick={onClose}
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SendModal;
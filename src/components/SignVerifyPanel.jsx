@@ -0,0 +1,209 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+import { walletLabel } from "../lib/wallets";
+import { MESSAGE_FORMATS, parseMessage, parseTypedData, supportedFormats } from "../lib/messages";
+import AddressInput from "./AddressInput";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const typedDataPlaceholder = `{
+  "domain": { "name": "Example", "version": "1", "chainId": 1 },
+  "types": { "Mail": [{ "name": "contents", "type": "string" }] },
+  "message": { "contents": "Hello" }
+}`;
+
+const FormatSelect = ({ chain, format, onChange }) => (
+    <select className={inputClass} value={format} onChange={(e) => onChange(e.target.value)}>
+        {supportedFormats(chain).map((id) => (
+            <option key={id} value={id}>{MESSAGE_FORMATS[id]}</option>
+        ))}
+    </select>
+);
+
+const MessageInput = ({ format, value, onChange }) => (
+    <textarea
+        className={`${inputClass} font-mono text-sm`}
+        rows={format === "typed" ? 8 : 3}
+        placeholder={format === "typed" ? typedDataPlaceholder : format === "hex" ? "0x..." : "Message to sign"}
+        onChange={(e) => onChange(e.target.value)}
+        value={value}
+    />
+);
+
+// Signing and verification never touch the network, so ownership of an
+// address can be proven from an offline machine
+const SignVerifyPanel = ({ wallets, addressBook, onCopy }) => {
+    const [open, setOpen] = useState(false);
+    const [tab, setTab] = useState("sign");
+
+    const [walletIndex, setWalletIndex] = useState(0);
+    const [signFormat, setSignFormat] = useState("text");
+    const [signInput, setSignInput] = useState("");
+    const [signature, setSignature] = useState("");
+
+    const [verifyChainId, setVerifyChainId] = useState(listChains()[0].id);
+    const [verifyFormat, setVerifyFormat] = useState("text");
+    const [verifyInput, setVerifyInput] = useState("");
+    const [verifyAddress, setVerifyAddress] = useState("");
+    const [verifySignature, setVerifySignature] = useState("");
+    const [verifyResult, setVerifyResult] = useState(null);
+
+    const signWallet = wallets[walletIndex] ?? wallets[0];
+    const signChain = signWallet && getChain(signWallet.chain);
+    const verifyChain = getChain(verifyChainId);
+
+    const handleSign = async () => {
+        try {
+            const result = signFormat === "typed"
+                ? await signChain.signTypedData(signWallet, parseTypedData(signInput))
+                : await signChain.signMessage(signWallet, parseMessage(signInput, signFormat));
+            setSignature(result);
+        } catch (error) {
+            console.error("Signing error:", error);
+            toast.error(`Could not sign: ${error.message}`);
+        }
+    };
+
+    const handleVerify = () => {
+        try {
+            const address = verifyAddress.trim();
+            const signatureValue = verifySignature.trim();
+            setVerifyResult(verifyFormat === "typed"
+                ? verifyChain.verifyTypedData(address, parseTypedData(verifyInput), signatureValue)
+                : verifyChain.verifyMessage(address, parseMessage(verifyInput, verifyFormat), signatureValue));
+        } catch (error) {
+            console.error("Verification error:", error);
+            toast.error(`Could not verify: ${error.message}`);
+            setVerifyResult(null);
+        }
+    };
+
+    return (
+        <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">✍</span>
+                    Sign & Verify Messages
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-4">
+                    <div className="flex gap-2">
+                        {["sign", "verify"].map((id) => (
+                            <button
+                                key={id}
+                                className={`px-3 py-2 border rounded-lg transition-colors capitalize ${tab === id ? "border-blue-500 text-white bg-gray-800" : "border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"}`}
+                                onClick={() => setTab(id)}
+                            >
+                                {id}
+                            </button>
+                        ))}
+                    </div>
+
+                    {tab === "sign" && (
+                        signWallet ? (
+                            <>
+                                <div className="flex flex-col md:flex-row gap-2">
+                                    <select
+                                        className={`${inputClass} flex-1 truncate`}
+                                        value={walletIndex}
+                                        onChange={(e) => {
+                                            setWalletIndex(Number(e.target.value));
+                                            setSignFormat("text");
+                                            setSignature("");
+                                        }}
+                                    >
+                                        {wallets.map((wallet, index) => (
+                                            <option key={index} value={index}>
+                                                {getChain(wallet.chain).icon} {walletLabel(wallet)} {wallet.publicKey}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <FormatSelect chain={signChain} format={signFormat} onChange={setSignFormat} />
+                                </div>
+                                <MessageInput format={signFormat} value={signInput} onChange={setSignInput} />
+                                <button
+                                    className="self-end px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                                    disabled={!signInput}
+                                    onClick={handleSign}
+                                >
+                                    Sign
+                                </button>
+                                {signature && (
+                                    <div
+                                        className="bg-gray-950 border border-gray-800 hover:border-green-500/30 rounded-lg p-3 cursor-pointer transition-all break-all font-mono text-sm text-gray-300"
+                                        title="Click to copy"
+                                        onClick={() => onCopy(signature)}
+                                    >
+                                        {signature}
+                                    </div>
+                                )}
+                            </>
+                        ) : (
+                            <p className="text-gray-400">Add a wallet to sign messages.</p>
+                        )
+                    )}
+
+                    {tab === "verify" && (
+                        <>
+                            <div className="flex flex-col md:flex-row gap-2">
+                                <select
+                                    className={inputClass}
+                                    value={verifyChainId}
+                                    onChange={(e) => {
+                                        setVerifyChainId(e.target.value);
+                                        setVerifyFormat("text");
+                                        setVerifyResult(null);
+                                    }}
+                                >
+                                    {listChains().map((chain) => (
+                                        <option key={chain.id} value={chain.id}>{chain.name}</option>
+                                    ))}
+                                </select>
+                                <FormatSelect chain={verifyChain} format={verifyFormat} onChange={setVerifyFormat} />
+                            </div>
+                            <MessageInput format={verifyFormat} value={verifyInput} onChange={setVerifyInput} />
+                            <AddressInput
+                                chainId={verifyChainId}
+                                addressBook={addressBook}
+                                className={inputClass}
+                                placeholder="Signer address or contact"
+                                onChange={setVerifyAddress}
+                                value={verifyAddress}
+                            />
+                            <input
+                                type="text"
+                                className={`${inputClass} font-mono text-sm`}
+                                placeholder="Signature"
+                                onChange={(e) => setVerifySignature(e.target.value)}
+                                value={verifySignature}
+                            />
+                            <div className="flex items-center justify-between gap-4">
+                                <span className={verifyResult === null ? "" : verifyResult ? "text-green-400" : "text-red-400"}>
+                                    {verifyResult === null ? "" : verifyResult ? "✓ Valid signature" : "✗ Signature does not match"}
+                                </span>
+                                <button
+                                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                                    disabled={!verifyInput || !verifyAddress || !verifySignature}
+                                    onClick={handleVerify}
+                                >
+                                    Verify
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SignVerifyPanel;
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { MAX_SHARE_COUNT, splitMnemonic } from "../lib/shares";
+
+const numberInputClass = "w-20 p-2 border bg-gray-950 border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+// Opens the shares in a bare window, one per page, so nothing else in the
+// app ends up on paper
+const printShares = (shares, threshold) => {
+    const printWindow = window.open("", "_blank", "width=800,height=600");
+    if (!printWindow) {
+        toast.error("Allow pop-ups to print the shares");
+        return;
+    }
+
+    const doc = printWindow.document;
+    doc.title = "Recovery phrase shares";
+    shares.forEach((share, index) => {
+        const page = doc.createElement("section");
+        page.style.cssText = "font-family: monospace; page-break-after: always; padding: 24px;";
+
+        const heading = doc.createElement("h2");
+        heading.textContent = `Share ${index + 1} of ${shares.length} (any ${threshold} recover the phrase)`;
+        const words = doc.createElement("ol");
+        share.split(" ").forEach((word) => {
+            const item = doc.createElement("li");
+            item.textContent = word;
+            words.appendChild(item);
+        });
+
+        page.append(heading, words);
+        doc.body.appendChild(page);
+    });
+
+    printWindow.print();
+};
+
+const SplitPhraseModal = ({ mnemonic, onCopy, onClose }) => {
+    const [threshold, setThreshold] = useState(3);
+    const [shareCount, setShareCount] = useState(5);
+    const [shares, setShares] = useState(null);
+
+    const handleSplit = () => {
+        try {
+            setShares(splitMnemonic(mnemonic, threshold, shareCount));
+        } catch (error) {
+            console.error("Error splitting recovery phrase:", error);
+            toast.error(error.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <div className="w-full max-w-2xl max-h-full overflow-y-auto rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left">
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Split Recovery Phrase</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Any {threshold} of the {shareCount} shares restore the phrase; fewer reveal nothing about it.
+                    Store each share in a different place.
+                </p>
+
+                <div className="flex flex-wrap items-center gap-4 text-gray-400 mb-6">
+                    <label className="flex items-center gap-2">
+                        Needed
+                        <input
+                            type="number"
+                            min={2}
+                            max={shareCount}
+                            className={numberInputClass}
+                            value={threshold}
+                            onChange={(e) => {
+                                setThreshold(Math.min(shareCount, Math.max(2, parseInt(e.target.value, 10) || 2)));
+                                setShares(null);
+                            }}
+                        />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        of
+                        <input
+                            type="number"
+                            min={2}
+                            max={MAX_SHARE_COUNT}
+                            className={numberInputClass}
+                            value={shareCount}
+                            onChange={(e) => {
+                                const count = Math.min(MAX_SHARE_COUNT, Math.max(2, parseInt(e.target.value, 10) || 2));
+                                setShareCount(count);
+                                setThreshold(Math.min(threshold, count));
+                                setShares(null);
+                            }}
+                        />
+                        shares
+                    </label>
+                    <button
+                        className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 text-white"
+                        onClick={handleSplit}
+                    >
+                        {shares ? "Split Again" : "Create Shares"}
+                    </button>
+                </div>
+
+                {shares && (
+                    <div className="flex flex-col gap-3 mb-6">
+                        {shares.map((share, index) => (
+                            <div
+                                key={share}
+                                className="bg-gray-950 border border-gray-800 hover:border-blue-500 rounded-lg p-3 cursor-pointer transition-all"
+                                title="Click to copy"
+                                onClick={() => onCopy(share)}
+                            >
+                                <span className="text-blue-400 text-sm">Share {index + 1}</span>
+                                <p className="text-gray-300 font-mono text-sm">{share}</p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    {shares && (
+                        <button
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={() => printShares(shares, threshold)}
+                        >
+                            Print
+                        </button>
+                    )}
+                    <button
+                        className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                        onClick={onClose}
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SplitPhraseModal;
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { listChains } from "../lib/chains";
+import { getNetworkSettings, getRpcUrl } from "../lib/networks";
+import { describeRpcError } from "../lib/balances";
+import { findToken, getCustomTokens, getTokenList } from "../lib/tokens";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const emptyForm = { address: "", symbol: "", name: "" };
+
+const ChainTokens = ({ chain, settings, onAdd, onRemove }) => {
+    const [form, setForm] = useState(emptyForm);
+    const [busy, setBusy] = useState(false);
+
+    const { network } = getNetworkSettings(settings, chain.id);
+    const networkName = network === "custom" ? "Custom RPC" : chain.networks[network].name;
+    const tokens = getTokenList(settings, chain);
+    const customTokens = getCustomTokens(settings, chain.id);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+
+        const address = form.address.trim();
+        if (!chain.isValidAddress(address)) {
+            toast.error(`Invalid ${chain.name} token address`);
+            return;
+        }
+        const normalized = chain.normalizeAddress(address);
+        if (findToken(tokens, normalized)) {
+            toast.error(`This token is already listed for ${networkName}`);
+            return;
+        }
+
+        let token = { address: normalized, symbol: form.symbol.trim(), name: form.name.trim() };
+
+        // Fill in whatever the contract can tell us; typed values win
+        if (chain.getTokenMetadata) {
+            setBusy(true);
+            try {
+                const metadata = await chain.getTokenMetadata(getRpcUrl(settings, chain.id), normalized);
+                token = { ...metadata, symbol: token.symbol || metadata.symbol, name: token.name || metadata.name, address: normalized };
+            } catch (error) {
+                console.error("Error reading token metadata:", error);
+                toast.error(`Could not read the token contract: ${describeRpcError(error)}`);
+                return;
+            } finally {
+                setBusy(false);
+            }
+        }
+
+        onAdd(chain.id, token);
+        setForm(emptyForm);
+    };
+
+    return (
+        <div className="flex flex-col gap-2">
+            <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
+                <span className={chain.textClass}>{chain.icon}</span>
+                {chain.name}
+                <span className="text-sm font-normal text-gray-500">on {networkName}</span>
+            </span>
+
+            {tokens.length > 0 ? (
+                <ul className="divide-y divide-gray-800 rounded-xl border border-gray-800">
+                    {tokens.map((token) => (
+                        <li key={token.address} className="flex items-center justify-between gap-4 px-3 py-2">
+                            <div className="min-w-0">
+                                <span className="text-gray-200">{token.symbol || "Unnamed token"}</span>
+                                {token.name && <span className="ml-2 text-sm text-gray-500">{token.name}</span>}
+                                <p className="font-mono text-xs text-gray-500 truncate">{token.address}</p>
+                            </div>
+                            {customTokens.includes(token) ? (
+                                <button
+                                    className="px-3 py-1 text-sm border border-red-900/50 text-red-400 rounded-lg hover:bg-red-900/20 transition-colors"
+                                    onClick={() => onRemove(chain.id, token.address)}
+                                >
+                                    Remove
+                                </button>
+                            ) : (
+                                <span className="text-xs text-gray-500">Built-in</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500">No tokens configured for this network.</p>
+            )}
+
+            <form className="flex flex-col md:flex-row gap-2" onSubmit={handleAdd}>
+                <input
+                    type="text"
+                    className={`${inputClass} flex-1 font-mono text-sm`}
+                    placeholder={chain.getTokenMetadata ? "Token contract address" : "Token mint address"}
+                    onChange={(e) => setForm({ ...form, address: e.target.value })}
+                    value={form.address}
+                />
+                <input
+                    type="text"
+                    className={`${inputClass} md:w-28`}
+                    placeholder="Symbol"
+                    onChange={(e) => setForm({ ...form, symbol: e.target.value })}
+                    value={form.symbol}
+                />
+                <input
+                    type="text"
+                    className={`${inputClass} md:w-40`}
+                    placeholder="Name"
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    value={form.name}
+                />
+                <button
+                    type="submit"
+                    disabled={busy || !form.address}
+                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                >
+                    {busy ? "Reading..." : "Add Token"}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+// Token lists follow the selected network, so tokens added while pointed
+// at a local validator or fork stay out of the mainnet list
+const TokenSettings = ({ settings, onAdd, onRemove }) => {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <div className="mb-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">🪙</span>
+                    Tokens
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-6">
+                    <p className="text-sm text-gray-500">
+                        Solana wallets show every SPL token they hold; names come from this list. Ethereum wallets only show the ERC-20 contracts listed here.
+                    </p>
+                    {listChains().map((chain) => (
+                        <ChainTokens
+                            key={`${chain.id}:${getNetworkSettings(settings, chain.id).network}`}
+                            chain={chain}
+                            settings={settings}
+                            onAdd={onAdd}
+                            onRemove={onRemove}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TokenSettings;
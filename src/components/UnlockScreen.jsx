@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { MIN_PASSWORD_LENGTH } from "../lib/vault";
+
+const UnlockScreen = ({ mode, hasLegacyData, onSubmit }) => {
+    const [password, setPassword] = useState("");
+    const [confirmPassword, setConfirmPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+
+    const isSetup = mode === "setup";
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (isSetup) {
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                toast.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+                return;
+            }
+            if (password !== confirmPassword) {
+                toast.error("Passwords do not match");
+                return;
+            }
+        }
+
+        setBusy(true);
+        try {
+            await onSubmit(password);
+        } finally {
+            setBusy(false);
+            setPassword("");
+            setConfirmPassword("");
+        }
+    };
+
+    return (
+        <form
+            className="max-w-lg mx-auto rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-8 shadow-lg text-left"
+            onSubmit={handleSubmit}
+        >
+            <div className="flex flex-col gap-3 mb-6">
+                <h2 className="text-3xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">🔒</span>
+                    {isSetup ? "Create a Password" : "Unlock Vault"}
+                </h2>
+                <p className="text-gray-400">
+                    {isSetup
+                        ? "Your recovery phrase and keys are encrypted with this password before they are stored. It cannot be recovered if you forget it."
+                        : "Enter your password to decrypt your wallets."}
+                </p>
+                {isSetup && hasLegacyData && (
+                    <p className="text-yellow-400">
+                        Existing unencrypted wallets were found. They will be encrypted with this password and the plaintext copy removed.
+                    </p>
+                )}
+            </div>
+            <div className="flex flex-col gap-4">
+                <input
+                    type="password"
+                    className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                    placeholder="Password"
+                    autoComplete={isSetup ? "new-password" : "current-password"}
+                    autoFocus
+                    onChange={(e) => setPassword(e.target.value)}
+                    value={password}
+                />
+                {isSetup && (
+                    <input
+                        type="password"
+                        className="p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                        placeholder="Confirm password"
+                        autoComplete="new-password"
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        value={confirmPassword}
+                    />
+                )}
+                <button
+                    type="submit"
+                    disabled={busy || !password}
+                    className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-300 shadow-lg hover:shadow-purple-900/30 disabled:opacity-50"
+                >
+                    {busy ? "Working..." : isSetup ? "Create Vault" : "Unlock"}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default UnlockScreen;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from "react";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+import { expectedAttempts, validateVanityPattern } from "../lib/vanity";
+import useVanitySearch from "../hooks/useVanitySearch";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const formatDuration = (seconds) => {
+    if (!Number.isFinite(seconds)) {
+        return "—";
+    }
+    const units = [["year", 31536000], ["day", 86400], ["hour", 3600], ["minute", 60]];
+    const [unit, size] = units.find(([, unitSize]) => seconds >= unitSize) ?? ["second", 1];
+    const value = Math.round(seconds / size);
+    return `${value.toLocaleString()} ${unit}${value === 1 ? "" : "s"}`;
+};
+
+// `getDerivation(chainId)` returns { seed, pathTemplate, startIndex } for
+// searching the profile's own account indexes, or null without a phrase
+const VanityPanel = ({ getDerivation, onMatch }) => {
+    const [open, setOpen] = useState(false);
+    const [chainId, setChainId] = useState(listChains()[0].id);
+    // "mnemonic" keeps results recoverable from the phrase; "random" is faster
+    const [mode, setMode] = useState("mnemonic");
+    const [prefix, setPrefix] = useState("");
+    const [suffix, setSuffix] = useState("");
+    const [caseSensitive, setCaseSensitive] = useState(false);
+    const { search, start, cancel } = useVanitySearch();
+    // { chainId, mode, wallet, accountIndex } until handed to `onMatch`
+    const [match, setMatch] = useState(null);
+
+    // Searches can run for minutes, so the match goes to the latest
+    // `onMatch` rather than the one captured when the search started
+    useEffect(() => {
+        if (match) {
+            const { chainId: matchChainId, mode: matchMode, ...result } = match;
+            onMatch(matchChainId, matchMode, result);
+            setMatch(null);
+        }
+    }, [match, onMatch]);
+
+    const chain = getChain(chainId);
+    const pattern = { prefix: prefix.trim(), suffix: suffix.trim(), caseSensitive };
+    const error = validateVanityPattern(chain, pattern);
+    const expected = error ? Infinity : expectedAttempts(chain, pattern);
+
+    const handleStart = () => {
+        const job = { chainId, pattern, mode };
+
+        if (mode === "mnemonic") {
+            const derivation = getDerivation(chainId);
+            if (!derivation) {
+                toast.warning("No mnemonic found. Generate a wallet first or search random keys");
+                return;
+            }
+            Object.assign(job, derivation);
+        }
+
+        start(job, (result) => {
+            if (result) {
+                setMatch({ chainId, mode, ...result });
+            } else {
+                toast.info("Every account index was searched without a match");
+            }
+        });
+    };
+
+    return (
+        <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg text-left">
+            <div
+                className="flex w-full justify-between items-center cursor-pointer"
+                onClick={() => setOpen(!open)}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
+                    <span className="text-purple-400">✨</span>
+                    Vanity Addresses
+                </h2>
+                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                    {open ? "▲" : "▼"}
+                </button>
+            </div>
+
+            {open && (
+                <div className="mt-6 flex flex-col gap-4">
+                    <div className="flex flex-col md:flex-row gap-2">
+                        <select
+                            className={inputClass}
+                            value={chainId}
+                            disabled={search !== null}
+                            onChange={(e) => setChainId(e.target.value)}
+                        >
+                            {listChains().map((option) => (
+                                <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                        </select>
+                        <select
+                            className={`${inputClass} flex-1`}
+                            value={mode}
+                            disabled={search !== null}
+                            onChange={(e) => setMode(e.target.value)}
+                        >
+                            <option value="mnemonic">Search account indexes of the recovery phrase</option>
+                            <option value="random">Search random keys (not recoverable from the phrase)</option>
+                        </select>
+                    </div>
+                    <div className="flex flex-col md:flex-row gap-2 md:items-center">
+                        <div className="flex flex-1 items-center gap-2">
+                            <span className="text-gray-500 font-mono">{chain.addressPrefix}</span>
+                            <input
+                                type="text"
+                                className={`${inputClass} flex-1 font-mono`}
+                                placeholder="Prefix"
+                                disabled={search !== null}
+                                onChange={(e) => setPrefix(e.target.value)}
+                                value={prefix}
+                            />
+                        </div>
+                        <input
+                            type="text"
+                            className={`${inputClass} flex-1 font-mono`}
+                            placeholder="Suffix"
+                            disabled={search !== null}
+                            onChange={(e) => setSuffix(e.target.value)}
+                            value={suffix}
+                        />
+                        <label className="flex items-center gap-2 text-gray-400 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={caseSensitive}
+                                disabled={search !== null}
+                                onChange={(e) => setCaseSensitive(e.target.checked)}
+                            />
+                            Match case
+                        </label>
+                    </div>
+                    {(prefix || suffix) && error && <p className="text-sm text-red-400">{error}</p>}
+
+                    <div className="flex flex-wrap items-center justify-between gap-4">
+                        <div className="text-sm text-gray-400 flex flex-col gap-1">
+                            <span>
+                                About {Number.isFinite(expected) ? Math.round(expected).toLocaleString() : "—"} attempts per match
+                            </span>
+                            {search && (
+                                <span>
+                                    {search.attempts.toLocaleString()} tried at {Math.round(search.rate).toLocaleString()}/s,
+                                    expected match in {formatDuration(expected / search.rate)}
+                                </span>
+                            )}
+                        </div>
+                        {search ? (
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20"
+                                onClick={cancel}
+                            >
+                                Cancel
+                            </button>
+                        ) : (
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                                disabled={Boolean(error)}
+                                onClick={handleStart}
+                            >
+                                Start Search
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default VanityPanel;
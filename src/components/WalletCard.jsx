@@ -0,0 +1,234 @@
+import React, { useState } from "react";
+import { getChain } from "../lib/chains";
+import { isImportedWallet, isWatchOnlyWallet } from "../lib/wallets";
+import { describePathTemplate } from "../lib/paths";
+import HistoryPanel from "./HistoryPanel";
+
+const WalletCard = ({
+    wallet,
+    label,
+    legacy,
+    privateKeyVisible,
+    onTogglePrivateKey,
+    onDelete,
+    onCopy,
+    onCopyPrivateKey,
+    balance,
+    tokens,
+    history,
+    historyReady,
+    onLoadHistory,
+    onRefreshBalance,
+    onSend,
+    onReceive,
+    onExport,
+}) => {
+    const chain = getChain(wallet.chain);
+    const watchOnly = isWatchOnlyWallet(wallet);
+    const [historyOpen, setHistoryOpen] = useState(false);
+
+    return (
+        <div className={`rounded-2xl border ${watchOnly ? "border-dashed border-gray-600" : "border-gray-800"} bg-gray-800/50 backdrop-blur-sm overflow-hidden shadow-lg hover:shadow-xl transition-all hover:border-gray-700`}>
+            <div className="flex justify-between items-center px-6 py-4 border-b border-gray-800 bg-gray-900">
+                <h3 className="font-bold text-xl text-blue-400 flex items-center gap-2">
+                    <span className={`text-lg ${chain.textClass}`}>
+                        {chain.icon}
+                    </span>
+                    {label}
+                    <span
+                        className="text-xs font-normal text-gray-500"
+                        title={wallet.pathTemplate && `${describePathTemplate(chain, wallet.pathTemplate)} layout (${wallet.pathTemplate})`}
+                    >
+                        {wallet.path}
+                    </span>
+                    {isImportedWallet(wallet) && (
+                        <span
+                            className="text-xs font-medium px-2 py-1 rounded-md bg-purple-900/40 text-purple-300 border border-purple-600/40"
+                            title="Imported from a private key; not recoverable from the recovery phrase"
+                        >
+                            Imported
+                        </span>
+                    )}
+                    {watchOnly && (
+                        <span
+                            className="text-xs font-medium px-2 py-1 rounded-md bg-gray-700/60 text-gray-300 border border-gray-500/40"
+                            title="Public address only; this app holds no key for it"
+                        >
+                            Watch-only
+                        </span>
+                    )}
+                    {legacy && (
+                        <span
+                            className="text-xs font-medium px-2 py-1 rounded-md bg-yellow-900/40 text-yellow-400 border border-yellow-600/40"
+                            title={`Derived with the legacy scheme at ${wallet.path}`}
+                        >
+                            Legacy
+                        </span>
+                    )}
+                </h3>
+                <div className="flex items-center gap-1">
+                    <button
+                        className="px-3 py-1 text-sm rounded-lg border border-gray-700 text-gray-300 hover:bg-gray-800 hover:text-white transition-colors"
+                        title="Show a payment QR code"
+                        onClick={onReceive}
+                    >
+                        Receive
+                    </button>
+                    {!watchOnly && (
+                        <>
+                            <button
+                                className="px-3 py-1 text-sm rounded-lg border border-gray-700 text-gray-300 hover:bg-gray-800 hover:text-white transition-colors"
+                                onClick={onSend}
+                            >
+                                Send
+                            </button>
+                            <button
+                                className="px-3 py-1 text-sm rounded-lg border border-gray-700 text-gray-300 hover:bg-gray-800 hover:text-white transition-colors"
+                                title={`Export as ${chain.keyFileFormat.name}`}
+                                onClick={onExport}
+                            >
+                                Export
+                            </button>
+                        </>
+                    )}
+                    <button
+                        className="text-red-500 hover:text-red-400 transition-colors p-2 rounded-full hover:bg-gray-800"
+                        onClick={() => {
+                            if (window.confirm("Delete this wallet?")) {
+                                onDelete();
+                            }
+                        }}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+            <div className="flex flex-col gap-6 px-6 py-5">
+                <div className="flex justify-between items-center w-full">
+                    <span className="text-lg font-medium text-gray-400">Balance</span>
+                    <div className="flex items-center gap-2">
+                        {balance?.error ? (
+                            <span className="text-sm text-red-400" title={balance.error}>{balance.error}</span>
+                        ) : (
+                            <span className="text-gray-200 font-medium">
+                                {balance?.amount ?? "—"}
+                            </span>
+                        )}
+                        <button
+                            className={`p-2 rounded-full hover:bg-gray-800 transition-colors text-gray-500 hover:text-white ${balance?.loading ? "animate-spin" : ""}`}
+                            title="Refresh balance"
+                            disabled={balance?.loading}
+                            onClick={onRefreshBalance}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                {(tokens?.tokens?.length > 0 || tokens?.error) && (
+                    <div className="flex flex-col w-full gap-2">
+                        <span className="text-lg font-medium text-gray-400">Tokens</span>
+                        {tokens.error ? (
+                            <span className="text-sm text-red-400" title={tokens.error}>{tokens.error}</span>
+                        ) : (
+                            <ul className="divide-y divide-gray-800 rounded-lg border border-gray-800 bg-gray-950">
+                                {tokens.tokens.map((token) => (
+                                    <li
+                                        key={token.address}
+                                        className="flex justify-between items-center gap-4 px-3 py-2 cursor-pointer hover:bg-gray-900 transition-colors"
+                                        title={`${token.name ?? "Unknown token"} · ${token.address} · ${token.decimals} decimals. Click to copy the address`}
+                                        onClick={() => onCopy(token.address)}
+                                    >
+                                        <span className="text-gray-400 truncate font-mono text-sm">
+                                            {token.symbol ?? `${token.address.slice(0, 4)}…${token.address.slice(-4)}`}
+                                        </span>
+                                        <span className="text-gray-200 font-medium">{token.amount}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                <div className="flex flex-col w-full gap-2">
+                    <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-green-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+                        </svg>
+                        Public Key
+                    </span>
+                    <div
+                        className="group bg-gray-950 border border-gray-800 hover:border-green-500/30 rounded-lg p-3 cursor-pointer transition-all"
+                        onClick={() => onCopy(wallet.publicKey)}
+                    >
+                        <div className="flex items-center justify-between">
+                            <p className="text-gray-300 truncate pr-2">
+                                {wallet.publicKey}
+                            </p>
+                            <span className="text-gray-600 group-hover:text-green-500 transition-colors">
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                                </svg>
+                            </span>
+                        </div>
+                    </div>
+                </div>
+                {watchOnly ? (
+                    wallet.note && <p className="text-gray-400 whitespace-pre-wrap">{wallet.note}</p>
+                ) : (
+                    <div className="flex flex-col w-full gap-2">
+                        <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-red-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                            </svg>
+                            Private Key
+                        </span>
+                        <div className="flex justify-between w-full bg-gray-950 border border-gray-800 hover:border-red-500/30 rounded-lg p-3 transition-all">
+                            <p
+                                onClick={() => privateKeyVisible && onCopyPrivateKey()}
+                                className={`truncate pr-2 ${privateKeyVisible ? "text-gray-300 cursor-pointer" : "text-gray-600"}`}
+                            >
+                                {privateKeyVisible
+                                    ? wallet.privateKey
+                                    : "•".repeat(Math.min(40, wallet.privateKey.length))}
+                            </p>
+                            <button
+                                className={`transition-colors ${privateKeyVisible ? "text-red-500 hover:text-red-400" : "text-gray-500 hover:text-gray-400"}`}
+                                onClick={() => onTogglePrivateKey()}
+                                title={privateKeyVisible ? "Hide private key" : "Show private key"}
+                            >
+                                {privateKeyVisible ? (
+                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
+                                    </svg>
+                                ) : (
+                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                    </svg>
+                                )}
+                            </button>
+                        </div>
+                    </div>
+                )}
+                <div className="flex flex-col w-full gap-2">
+                    <button
+                        className="flex justify-between items-center text-lg font-medium text-gray-400 hover:text-gray-200 transition-colors disabled:opacity-50"
+                        disabled={!historyReady}
+                        onClick={() => setHistoryOpen(!historyOpen)}
+                    >
+                        Transactions
+                        <span className="text-sm">{historyOpen ? "▲" : "▼"}</span>
+                    </button>
+                    {historyOpen && historyReady && (
+                        <HistoryPanel wallet={wallet} entry={history} onLoad={onLoadHistory} onCopy={onCopy} />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WalletCard;
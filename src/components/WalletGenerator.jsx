@@ -1,125 +1,466 @@
-import React, { useState, useEffect } from "react";
-import { generateMnemonic, mnemonicToSeedSync, validateMnemonic } from "bip39";
-import * as ed from "@noble/ed25519";
-import { Keypair } from "@solana/web3.js";
-import bs58 from "bs58";
-import { ethers } from "ethers";
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { mnemonicToSeedSync } from "bip39";
 import { toast } from "react-toastify";
 import { Buffer } from 'buffer';
-import nacl from "tweetnacl";
+import { getChain, listChains } from "../lib/chains";
+import { HARDENED_OFFSET } from "../lib/slip10";
+import {
+    hasVault,
+    readLegacyState,
+    createVault,
+    unlockVault,
+    saveVault,
+    changeVaultPassword,
+    verifyPassword,
+} from "../lib/vault";
+import { STATE_VERSION, createProfile, createState, migrateState } from "../lib/profiles";
+import { createSettings, getRpcUrl, updateNetworkSettings } from "../lib/networks";
+import { DEFAULT_GAP_LIMIT, discoverAccounts } from "../lib/discovery";
+import { mergeStates } from "../lib/backup";
+import { getPathTemplate } from "../lib/paths";
+import { WORD_COUNTS, createMnemonic, detectWordlist, normalizeMnemonic } from "../lib/mnemonic";
+import {
+    buildWallet,
+    compareWallets,
+    generateWalletFromMnemonic,
+    isDerivedWallet,
+    isLegacyWallet,
+    isWatchOnlyWallet,
+    walletLabel,
+} from "../lib/wallets";
+import { createContact } from "../lib/addressBook";
+import { appendAuditEntry, formatDelay, getSecuritySettings, updateSecuritySettings } from "../lib/security";
+import { clearPendingSecret, copyText } from "../lib/clipboard";
+import { addCustomToken, removeCustomToken } from "../lib/tokens";
+import { historyKey } from "../lib/history";
+import UnlockScreen from "./UnlockScreen";
+import ChangePasswordModal from "./ChangePasswordModal";
+import WalletCard from "./WalletCard";
+import ApprovalModal from "./ApprovalModal";
+import ProfileBar from "./ProfileBar";
+import NetworkSettings from "./NetworkSettings";
+import TokenSettings from "./TokenSettings";
+import SendModal from "./SendModal";
+import ReceiveModal from "./ReceiveModal";
+import PaperWallet from "./PaperWallet";
+import PasswordPromptModal from "./PasswordPromptModal";
+import SecurityPanel from "./SecurityPanel";
+import SignVerifyPanel from "./SignVerifyPanel";
+import AirGapPanel from "./AirGapPanel";
+import BackupPanel from "./BackupPanel";
+import ImportKeyModal from "./ImportKeyModal";
+import ExportKeyModal from "./ExportKeyModal";
+import DerivationPathPanel from "./DerivationPathPanel";
+import SplitPhraseModal from "./SplitPhraseModal";
+import RecoverSharesModal from "./RecoverSharesModal";
+import PhraseCheckModal from "./PhraseCheckModal";
+import VanityPanel from "./VanityPanel";
+import WatchOnlyModal from "./WatchOnlyModal";
+import AddressBookPanel from "./AddressBookPanel";
+import useBalances, { balanceKey } from "../hooks/useBalances";
+import useTokenBalances from "../hooks/useTokenBalances";
+import useHistory from "../hooks/useHistory";
+import useDappBridge from "../hooks/useDappBridge";
+import useAutoHide from "../hooks/useAutoHide";
 
 // Polyfill Buffer for the browser environment
 if (typeof window !== 'undefined') {
     window.Buffer = window.Buffer || Buffer;
 }
 
-// Replacement for derivePath from ed25519-hd-key
-const derivePath = (path, seed) => {
+// Lock the vault after this long without any user activity
+const AUTO_LOCK_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["mousedown", "mousemove", "keydown", "scroll", "touchstart"];
 
-    const seedBuffer = Buffer.from(seed, 'hex');
+// Actions that put secrets on screen or on disk ask for the vault password
+// first
+const PASSWORD_PROMPTS = {
+    revealKey: {
+        title: "Reveal Private Key",
+        message: "Enter the vault password to show this key. Anyone who sees it controls the account.",
+        confirmLabel: "Reveal",
+    },
+    exportKey: {
+        title: "Export Key File",
+        message: "Enter the vault password to export this key. Anyone with the file controls the account.",
+        confirmLabel: "Continue",
+    },
+    printPaperWallet: {
+        title: "Print Paper Wallet",
+        message: "Enter the vault password to show the recovery phrase and private keys for printing.",
+        confirmLabel: "Continue",
+    },
+};
 
-    // For Solana derivation, we're using a simplified approach
-    // This follows BIP32-Ed25519 derivation pattern
-    const segments = path.split('/');
-    let currentSeed = seedBuffer;
+const WalletGenerator = () => {
+    const [profiles, setProfiles] = useState([]);
+    const [activeProfileId, setActiveProfileId] = useState(null);
+    const [settings, setSettings] = useState(createSettings());
+    const [addressBook, setAddressBook] = useState([]);
+    const [auditLog, setAuditLog] = useState([]);
+    const [discoverOnImport, setDiscoverOnImport] = useState(false);
+    const [gapLimit, setGapLimit] = useState(DEFAULT_GAP_LIMIT);
+    // { chainId, scanned, found } while an account discovery scan runs
+    const [discovery, setDiscovery] = useState(null);
+    const [selectedChain, setSelectedChain] = useState(null);
+    const [chainFilter, setChainFilter] = useState("all");
+    const [showChainMenu, setShowChainMenu] = useState(false);
+    const [showMnemonic, setShowMnemonic] = useState(false);
+    const [mnemonicInput, setMnemonicInput] = useState("");
+    const [passphraseInput, setPassphraseInput] = useState("");
+    const [wordCount, setWordCount] = useState(WORD_COUNTS[0]);
+    const [visiblePrivateKeys, setVisiblePrivateKeys] = useState([]);
+    const [passwordPrompt, setPasswordPrompt] = useState(null);
+    const [gridView, setGridView] = useState(false);
+    // "setup" (no vault yet), "locked" or "unlocked"
+    const [vaultStatus, setVaultStatus] = useState(() => (hasVault() ? "locked" : "setup"));
+    const [vaultSession, setVaultSession] = useState(null);
+    const [showChangePassword, setShowChangePassword] = useState(false);
+    const [sendWallet, setSendWallet] = useState(null);
+    const [showImportKey, setShowImportKey] = useState(false);
+    const [receiveWallet, setReceiveWallet] = useState(null);
+    const [exportWallet, setExportWallet] = useState(null);
+    const [showPaperWallet, setShowPaperWallet] = useState(false);
+    const [showSplitPhrase, setShowSplitPhrase] = useState(false);
+    const [showRecoverShares, setShowRecoverShares] = useState(false);
+    const [showPhraseCheck, setShowPhraseCheck] = useState(false);
+    const [showWatchOnly, setShowWatchOnly] = useState(false);
 
+    const activeProfile = profiles.find((profile) => profile.id === activeProfileId);
+    const mnemonicWords = activeProfile?.mnemonic ?? [];
+    const passphrase = activeProfile?.passphrase ?? "";
+    const wallets = activeProfile?.wallets ?? [];
 
-    for (let i = 1; i < segments.length; i++) {
-        let segment = segments[i];
-        let hardened = false;
-        if (segment.endsWith("'")) {
-            hardened = true;
-            segment = segment.slice(0, -1);
-        }
+    const legacyWalletCount = wallets.filter(isLegacyWallet).length;
 
-        if (hardened) {
-            const indexBuffer = Buffer.alloc(4);
-            indexBuffer.writeUInt32BE(parseInt(segment) + 0x80000000, 0);
+    const { balances, refresh: refreshNativeBalances } = useBalances(wallets, settings);
+    const { tokenBalances, refresh: refreshTokenBalances } = useTokenBalances(wallets, settings);
+    const { history, load: loadHistory } = useHistory(vaultSession, settings);
+    const dapp = useDappBridge({ wallets, settings, unlocked: vaultSession !== null });
 
-            const data = Buffer.concat([
-                Buffer.from([0]),
-                currentSeed,
-                indexBuffer
-            ]);
+    const refreshBalances = useCallback((targets) => {
+        refreshNativeBalances(targets);
+        refreshTokenBalances(targets);
+    }, [refreshNativeBalances, refreshTokenBalances]);
 
-            currentSeed = Buffer.from(
-                nacl.hash(data)
-            ).slice(0, 32); // Use first 32 bytes as new seed
-        }
-    }
+    // SendModal polls until this changes, so it must be stable
+    const handleSendComplete = useCallback(() => refreshBalances([sendWallet]), [refreshBalances, sendWallet]);
 
-    return { key: currentSeed };
-};
+    const { autoHideSeconds, clipboardClearSeconds } = getSecuritySettings(settings);
+    const hidePrivateKeys = useCallback(() => setVisiblePrivateKeys((current) => current.map(() => false)), []);
+    const hideMnemonic = useCallback(() => setShowMnemonic(false), []);
+    useAutoHide(visiblePrivateKeys.some(Boolean) && visiblePrivateKeys.join(), hidePrivateKeys, autoHideSeconds);
+    useAutoHide(showMnemonic, hideMnemonic, autoHideSeconds);
 
-const WalletGenerator = () => {
-    const [mnemonicWords, setMnemonicWords] = useState([]);
-    const [pathTypes, setPathTypes] = useState([]);
-    const [wallets, setWallets] = useState([]);
-    const [showMnemonic, setShowMnemonic] = useState(false);
-    const [mnemonicInput, setMnemonicInput] = useState("");
-    const [visiblePrivateKeys, setVisiblePrivateKeys] = useState([]);
-    const [gridView, setGridView] = useState(false);
+    const countChainWallets = (chainId) =>
+        wallets.filter((wallet) => wallet.chain === chainId).length;
+
+    const pathTemplateFor = (chainId) => getPathTemplate(activeProfile, getChain(chainId));
+
+    // Legacy, imported and other-template wallets live on different
+    // addresses, so they never block an index from being derived with the
+    // profile's current template
+    const isCurrentTemplateWallet = (chainId, wallet) =>
+        wallet.chain === chainId && isDerivedWallet(wallet) && wallet.pathTemplate === pathTemplateFor(chainId);
+
+    const findDerivedWallet = (chainId, accountIndex, candidates = wallets) =>
+        candidates.find((wallet) =>
+            isCurrentTemplateWallet(chainId, wallet) && wallet.accountIndex === accountIndex
+        );
+
+    const nextAccountIndex = (chainId, candidates = wallets) =>
+        candidates
+            .filter((wallet) => isCurrentTemplateWallet(chainId, wallet))
+            .reduce((next, wallet) => Math.max(next, wallet.accountIndex + 1), 0);
+
+    const chainsInUse = listChains().filter((chain) => countChainWallets(chain.id) > 0);
+    const activeChainFilter = chainsInUse.some((chain) => chain.id === chainFilter) ? chainFilter : "all";
+
+    // Keep each wallet's position in `wallets` so handlers can address it
+    // after grouping
+    const walletGroups = chainsInUse
+        .filter((chain) => activeChainFilter === "all" || chain.id === activeChainFilter)
+        .map((chain) => ({
+            chain,
+            entries: wallets
+                .map((wallet, index) => ({ wallet, index }))
+                .filter(({ wallet }) => wallet.chain === chain.id)
+                .sort((a, b) => compareWallets(a.wallet, b.wallet)),
+        }))
+        .filter(({ entries }) => entries.length > 0);
 
-    const pathTypeNames = {
-        "501": "Solana",
-        "60": "Ethereum",
+    const resetProfileView = (profile) => {
+        setSelectedChain(null);
+        setChainFilter("all");
+        setShowChainMenu(false);
+        setShowMnemonic(false);
+        setMnemonicInput("");
+        setPassphraseInput("");
+        setShowPhraseCheck(false);
+        setVisiblePrivateKeys(profile ? profile.wallets.map(() => false) : []);
+        setPasswordPrompt(null);
     };
 
-    const pathTypeName = pathTypeNames[pathTypes[0]] || "";
+    const restoreState = (state) => {
+        const {
+            activeProfileId: restoredProfileId,
+            profiles: restoredProfiles,
+            settings: restoredSettings,
+            addressBook: restoredAddressBook,
+            auditLog: restoredAuditLog,
+        } = migrateState(state);
 
-    useEffect(() => {
-        // Load saved wallets from localStorage
+        setProfiles(restoredProfiles);
+        setSettings(restoredSettings);
+        setAddressBook(restoredAddressBook);
+        setAuditLog(restoredAuditLog);
+        setActiveProfileId(restoredProfileId);
+        resetProfileView(restoredProfiles.find((profile) => profile.id === restoredProfileId));
+    };
+
+    const handleCreateVault = async (password) => {
         try {
-            const storedWallets = localStorage.getItem("wallets");
-            const storedMnemonic = localStorage.getItem("mnemonics");
-            const storedPathTypes = localStorage.getItem("paths");
-
-            if (storedWallets && storedMnemonic && storedPathTypes) {
-                setMnemonicWords(JSON.parse(storedMnemonic));
-                setWallets(JSON.parse(storedWallets));
-                setPathTypes(JSON.parse(storedPathTypes));
-                setVisiblePrivateKeys(JSON.parse(storedWallets).map(() => false));
-            }
+            const legacyState = readLegacyState();
+            const state = legacyState ? migrateState(legacyState) : createState();
+
+            setVaultSession(await createVault(password, state));
+            restoreState(state);
+            setVaultStatus("unlocked");
+            toast.success("Vault created");
+        } catch (error) {
+            console.error("Error creating vault:", error);
+            toast.error("Failed to create vault");
+        }
+    };
+
+    const handleUnlockVault = async (password) => {
+        try {
+            const { session, state } = await unlockVault(password);
+
+            setVaultSession(session);
+            restoreState(state);
+            setVaultStatus("unlocked");
         } catch (error) {
-            console.error("Error loading saved wallets:", error);
-            toast.error("Failed to load saved wallets");
+            console.error("Error unlocking vault:", error);
+            toast.error(error.message === "Incorrect password" ? error.message : "Failed to unlock vault");
         }
+    };
+
+    const handleLockVault = useCallback(() => {
+        clearPendingSecret();
+        setVaultSession(null);
+        setProfiles([]);
+        setActiveProfileId(null);
+        setSettings(createSettings());
+        setAddressBook([]);
+        setAuditLog([]);
+        setSelectedChain(null);
+        setVisiblePrivateKeys([]);
+        setPasswordPrompt(null);
+        setMnemonicInput("");
+        setPassphraseInput("");
+        setShowMnemonic(false);
+        setShowChangePassword(false);
+        setSendWallet(null);
+        setReceiveWallet(null);
+        setShowImportKey(false);
+        setExportWallet(null);
+        setShowPaperWallet(false);
+        setShowSplitPhrase(false);
+        setShowRecoverShares(false);
+        setShowPhraseCheck(false);
+        setShowWatchOnly(false);
+        setVaultStatus("locked");
     }, []);
 
-    const generateWalletFromMnemonic = (pathType, mnemonic, accountIndex) => {
+    const handleChangePassword = async (currentPassword, newPassword) => {
         try {
-            const seedBuffer = mnemonicToSeedSync(mnemonic);
-            const path = `m/44'/${pathType}'/0'/${accountIndex}'`;
-            const { key: derivedSeed } = derivePath(path, seedBuffer.toString("hex"));
-
-            let publicKeyEncoded;
-            let privateKeyEncoded;
-
-            if (pathType === "501") {
-                // Solana wallet
-                const keyPair = nacl.sign.keyPair.fromSeed(derivedSeed);
-                const solanaKeypair = Keypair.fromSecretKey(keyPair.secretKey);
-
-                privateKeyEncoded = bs58.encode(keyPair.secretKey);
-                publicKeyEncoded = solanaKeypair.publicKey.toBase58();
-            } else if (pathType === "60") {
-                // Ethereum wallet
-                const privateKey = Buffer.from(derivedSeed).toString("hex");
-                privateKeyEncoded = `0x${privateKey}`;
-
-                const wallet = new ethers.Wallet(privateKeyEncoded);
-                publicKeyEncoded = wallet.address;
-            } else {
-                toast.error("Unsupported blockchain type");
-                return null;
-            }
+            setVaultSession(await changeVaultPassword(currentPassword, newPassword));
+            setShowChangePassword(false);
+            toast.success("Password changed");
+        } catch (error) {
+            console.error("Error changing password:", error);
+            toast.error(error.message === "Incorrect password" ? "Current password is incorrect" : "Failed to change password");
+        }
+    };
+
+    // Every change re-seals the full state; nothing is stored in plaintext
+    const vaultState = { version: STATE_VERSION, activeProfileId, profiles, settings, addressBook, auditLog };
+
+    // Handlers that await a scan finish after later changes have landed, so
+    // saves build on the latest state rather than the render they began in
+    const latestVault = useRef({ session: null, state: vaultState });
+    useEffect(() => {
+        latestVault.current = { session: vaultSession, state: vaultState };
+    });
+
+    const persistVault = (changes) => {
+        const { session, state } = latestVault.current;
+        const nextState = { ...state, ...changes };
+
+        latestVault.current = { session, state: nextState };
+        saveVault(session, nextState).catch((error) => {
+            console.error("Error saving vault:", error);
+            toast.error("Failed to save wallets");
+        });
+    };
+
+    // `changes` may be a function of the profile as it is now; nothing is
+    // saved if the vault was locked in the meantime
+    const updateActiveProfile = (changes) => {
+        const { session, state } = latestVault.current;
+        if (!session) {
+            return;
+        }
+
+        const updatedProfiles = state.profiles.map((profile) =>
+            profile.id === activeProfileId
+                ? { ...profile, ...(typeof changes === "function" ? changes(profile) : changes) }
+                : profile
+        );
+
+        setProfiles(updatedProfiles);
+        persistVault({ profiles: updatedProfiles });
+    };
+
+    const latestWallets = () =>
+        latestVault.current.state.profiles.find((profile) => profile.id === activeProfileId)?.wallets ?? [];
+
+    const handleSwitchProfile = (profileId) => {
+        setActiveProfileId(profileId);
+        persistVault({ activeProfileId: profileId });
+        resetProfileView(profiles.find((profile) => profile.id === profileId));
+    };
+
+    const handleCreateProfile = (name) => {
+        const profile = createProfile(name);
+        const updatedProfiles = [...profiles, profile];
+
+        setProfiles(updatedProfiles);
+        setActiveProfileId(profile.id);
+        persistVault({ profiles: updatedProfiles, activeProfileId: profile.id });
+        resetProfileView(profile);
+        toast.success(`Profile "${name}" created`);
+    };
+
+    const handleRenameProfile = (profileId, name) => {
+        const updatedProfiles = profiles.map((profile) =>
+            profile.id === profileId ? { ...profile, name } : profile
+        );
+
+        setProfiles(updatedProfiles);
+        persistVault({ profiles: updatedProfiles });
+    };
+
+    const handleChangeNetwork = (chainId, changes) => {
+        updateSettings(updateNetworkSettings(settings, chainId, changes));
+    };
+
+    const updateSettings = (updatedSettings) => {
+        setSettings(updatedSettings);
+        persistVault({ settings: updatedSettings });
+    };
+
+    const handleAddToken = (chainId, token) => {
+        updateSettings(addCustomToken(settings, chainId, token));
+        toast.success(`${token.symbol || "Token"} added`);
+    };
+
+    const handleRemoveToken = (chainId, address) => {
+        updateSettings(removeCustomToken(settings, chainId, address));
+    };
+
+    const handleChangePathTemplate = (chainId, template) => {
+        updateActiveProfile({ pathTemplates: { ...activeProfile.pathTemplates, [chainId]: template } });
+        toast.success(`New ${getChain(chainId).name} wallets will use ${template}`);
+    };
+
+    const handleChangeSecurity = (changes) => {
+        updateSettings(updateSecuritySettings(settings, changes));
+    };
+
+    // Copies and exports record their entry once they finish, so entries
+    // build on the latest log, like updateActiveProfile
+    const recordAudit = (event, wallet = null) => {
+        const { session, state } = latestVault.current;
+        if (!session) {
+            return;
+        }
+
+        const updatedAuditLog = appendAuditEntry(state.auditLog, { event, wallet, profileId: activeProfileId });
+
+        setAuditLog(updatedAuditLog);
+        persistVault({ auditLog: updatedAuditLog });
+    };
+
+    const handleAddContact = (contact) => {
+        const updatedAddressBook = [...addressBook, createContact(contact)];
+
+        setAddressBook(updatedAddressBook);
+        persistVault({ addressBook: updatedAddressBook });
+        toast.success(`${contact.name} saved to the address book`);
+    };
 
-            return {
-                publicKey: publicKeyEncoded,
-                privateKey: privateKeyEncoded,
-                mnemonic,
-                path,
-            };
+    const handleDeleteContact = (contactId) => {
+        const updatedAddressBook = addressBook.filter((contact) => contact.id !== contactId);
+
+        setAddressBook(updatedAddressBook);
+        persistVault({ addressBook: updatedAddressBook });
+    };
+
+    const handleImportBackup = (backupState, mode) => {
+        // The audit log records this vault, so a restored backup never replaces it
+        const nextState = { ...(mode === "merge" ? mergeStates(vaultState, backupState) : backupState), auditLog };
+
+        setProfiles(nextState.profiles);
+        setSettings(nextState.settings);
+        setAddressBook(nextState.addressBook);
+        setActiveProfileId(nextState.activeProfileId);
+        persistVault(nextState);
+        resetProfileView(nextState.profiles.find((profile) => profile.id === nextState.activeProfileId));
+    };
+
+    const handleDeleteProfile = (profileId) => {
+        let updatedProfiles = profiles.filter((profile) => profile.id !== profileId);
+        // The vault always keeps at least one profile to work in
+        if (updatedProfiles.length === 0) {
+            updatedProfiles = [createProfile("Default")];
+        }
+
+        const nextActiveProfile = profileId === activeProfileId
+            ? updatedProfiles[0]
+            : activeProfile;
+
+        setProfiles(updatedProfiles);
+        setActiveProfileId(nextActiveProfile.id);
+        persistVault({ profiles: updatedProfiles, activeProfileId: nextActiveProfile.id });
+        if (nextActiveProfile !== activeProfile) {
+            resetProfileView(nextActiveProfile);
+        }
+        toast.success("Profile deleted");
+    };
+
+    useEffect(() => {
+        if (vaultStatus !== "unlocked") {
+            return;
+        }
+
+        let timer = setTimeout(handleLockVault, AUTO_LOCK_MS);
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(handleLockVault, AUTO_LOCK_MS);
+        };
+
+        ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, resetTimer));
+        return () => {
+            clearTimeout(timer);
+            ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, resetTimer));
+        };
+    }, [vaultStatus, handleLockVault]);
+
+    const deriveProfileWallet = (chainId, mnemonic, passphrase, accountIndex) => {
+        try {
+            return generateWalletFromMnemonic(chainId, mnemonic, passphrase, accountIndex, pathTemplateFor(chainId));
         } catch (error) {
             console.error("Wallet generation error:", error);
             toast.error("Failed to generate wallet. Check console for details.");
@@ -127,94 +468,282 @@ const WalletGenerator = () => {
         }
     };
 
+    // Resolves to the used accounts of `mnemonic` on `chainId`, or null when
+    // the scan could not finish
+    const discoverWallets = async (chainId, mnemonic, passphrase) => {
+        const chain = getChain(chainId);
+        const pathTemplate = pathTemplateFor(chainId);
+
+        try {
+            const rpcUrl = getRpcUrl(settings, chainId);
+            const seed = mnemonicToSeedSync(mnemonic, passphrase);
+
+            setDiscovery({ chainId, scanned: 0, found: 0 });
+            return await discoverAccounts({
+                deriveWallet: (accountIndex) => buildWallet(chainId, seed, mnemonic, accountIndex, pathTemplate),
+                hasActivity: (wallet) => chain.hasActivity(rpcUrl, wallet.publicKey),
+                gapLimit,
+                onProgress: (progress) => setDiscovery({ chainId, ...progress }),
+            });
+        } catch (error) {
+            console.error("Account discovery error:", error);
+            toast.error(`Could not scan ${chain.name} accounts: ${error.message}`);
+            return null;
+        } finally {
+            setDiscovery(null);
+        }
+    };
+
     const handleDeleteWallet = (index) => {
         const updatedWallets = wallets.filter((_, i) => i !== index);
-        const updatedPathTypes = pathTypes.filter((_, i) => i !== index);
 
-        setWallets(updatedWallets);
-        setPathTypes(updatedPathTypes);
-        localStorage.setItem("wallets", JSON.stringify(updatedWallets));
-        localStorage.setItem("paths", JSON.stringify(updatedPathTypes));
+        updateActiveProfile({ wallets: updatedWallets });
         setVisiblePrivateKeys(visiblePrivateKeys.filter((_, i) => i !== index));
         toast.success("Wallet deleted");
     };
 
     const handleClearWallets = () => {
-        localStorage.removeItem("wallets");
-        localStorage.removeItem("mnemonics");
-        localStorage.removeItem("paths");
-        setWallets([]);
-        setMnemonicWords([]);
-        setPathTypes([]);
+        updateActiveProfile({ wallets: [], mnemonic: [], passphrase: "" });
+        setSelectedChain(null);
+        setChainFilter("all");
         setVisiblePrivateKeys([]);
         toast.info("All wallets cleared");
     };
 
     const copyToClipboard = (content) => {
-        navigator.clipboard.writeText(content)
+        copyText(content)
             .then(() => toast.success("Copied to clipboard"))
             .catch(() => toast.error("Failed to copy"));
     };
 
+    // Secrets are wiped from the clipboard after the configured delay, and
+    // every copy goes into the audit log
+    const copySecret = (content, event, wallet = null) => {
+        copyText(content, { clearAfterMs: clipboardClearSeconds * 1000 })
+            .then(() => {
+                recordAudit(event, wallet);
+                toast.success(clipboardClearSeconds
+                    ? `Copied; the clipboard clears in ${formatDelay(clipboardClearSeconds)}`
+                    : "Copied to clipboard");
+            })
+            .catch(() => toast.error("Failed to copy"));
+    };
+
+    const handleScanAccounts = async (chainId) => {
+        setShowChainMenu(false);
+
+        const discovered = await discoverWallets(chainId, mnemonicWords.join(" "), passphrase);
+        if (!discovered) {
+            return;
+        }
+
+        const newWallets = discovered.filter((wallet) => !findDerivedWallet(chainId, wallet.accountIndex, latestWallets()));
+        if (newWallets.length === 0) {
+            toast.info(`No new used ${getChain(chainId).name} accounts found`);
+            return;
+        }
+
+        updateActiveProfile((profile) => ({ wallets: [...profile.wallets, ...newWallets] }));
+        setVisiblePrivateKeys((current) => [...current, ...newWallets.map(() => false)]);
+        toast.success(`Added ${newWallets.length} used ${getChain(chainId).name} ${newWallets.length === 1 ? "account" : "accounts"}`);
+    };
+
+    const handleDeriveAccountIndex = (chainId) => {
+        const input = window.prompt(`Account index to derive on ${getChain(chainId).name}`, String(nextAccountIndex(chainId)));
+        if (input === null) {
+            return;
+        }
+
+        const accountIndex = Number(input.trim());
+        if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex >= HARDENED_OFFSET) {
+            toast.error("Account index must be a whole number from 0 to 2147483647");
+            return;
+        }
+
+        handleAddWallet(chainId, accountIndex);
+    };
+
+    // Hiding is immediate; revealing asks for the vault password first
     const togglePrivateKeyVisibility = (index) => {
-        setVisiblePrivateKeys(
-            visiblePrivateKeys.map((visible, i) => (i === index ? !visible : visible))
-        );
+        if (visiblePrivateKeys[index]) {
+            setVisiblePrivateKeys(visiblePrivateKeys.map((visible, i) => (i === index ? false : visible)));
+        } else {
+            setPasswordPrompt({ action: "revealKey", index });
+        }
+    };
+
+    // Nothing is shown, exported or logged until the password checks out
+    const handleConfirmPassword = async (password) => {
+        try {
+            await verifyPassword(password);
+        } catch (error) {
+            console.error("Error verifying password:", error);
+            toast.error(error.message === "Incorrect password" ? error.message : "Failed to check password");
+            return;
+        }
+
+        const { action, index } = passwordPrompt;
+        setPasswordPrompt(null);
+
+        if (action === "revealKey") {
+            setVisiblePrivateKeys(visiblePrivateKeys.map((visible, i) => (i === index ? true : visible)));
+            recordAudit("revealKey", wallets[index]);
+        } else if (action === "exportKey") {
+            setExportWallet(wallets[index]);
+        } else {
+            recordAudit("printPaperWallet");
+            setShowPaperWallet(true);
+        }
+    };
+
+    const toggleMnemonic = () => {
+        if (!showMnemonic) {
+            recordAudit("revealPhrase");
+        }
+        setShowMnemonic(!showMnemonic);
     };
 
-    const handleGenerateWallet = () => {
-        let mnemonic = mnemonicInput.trim();
+    // `importedPhrase` defaults to the typed phrase; recombined shares pass
+    // theirs in directly
+    const handleGenerateWallet = async (importedPhrase = mnemonicInput.trim()) => {
+        let mnemonic;
 
-        if (mnemonic) {
-            if (!validateMnemonic(mnemonic)) {
+        if (importedPhrase) {
+            if (!detectWordlist(importedPhrase)) {
                 toast.error("Invalid recovery phrase");
                 return;
             }
+            mnemonic = normalizeMnemonic(importedPhrase);
         } else {
-            mnemonic = generateMnemonic();
+            mnemonic = createMnemonic(wordCount);
         }
 
         const words = mnemonic.split(" ");
-        setMnemonicWords(words);
 
-        const wallet = generateWalletFromMnemonic(
-            pathTypes[0],
+        // Only an imported phrase can have history worth scanning for
+        if (importedPhrase && discoverOnImport) {
+            const discovered = await discoverWallets(selectedChain, mnemonic, passphraseInput);
+            if (!discovered) {
+                return;
+            }
+
+            if (discovered.length > 0) {
+                updateActiveProfile((profile) => ({
+                    wallets: [...profile.wallets, ...discovered],
+                    mnemonic: words,
+                    passphrase: passphraseInput,
+                    backedUp: true,
+                }));
+                setVisiblePrivateKeys((current) => [...current, ...discovered.map(() => false)]);
+                toast.success(`Found ${discovered.length} used ${discovered.length === 1 ? "account" : "accounts"}`);
+                return;
+            }
+            toast.info("No used accounts found, starting with the first account");
+        }
+
+        const wallet = deriveProfileWallet(
+            selectedChain,
             mnemonic,
-            wallets.length
+            passphraseInput,
+            nextAccountIndex(selectedChain, latestWallets())
         );
 
         if (wallet) {
-            const updatedWallets = [...wallets, wallet];
-            setWallets(updatedWallets);
-            localStorage.setItem("wallets", JSON.stringify(updatedWallets));
-            localStorage.setItem("mnemonics", JSON.stringify(words));
-            localStorage.setItem("paths", JSON.stringify(pathTypes));
-            setVisiblePrivateKeys([...visiblePrivateKeys, false]);
+            // An imported phrase is already written down somewhere; a new
+            // one stays flagged until the backup check passes
+            updateActiveProfile((profile) => ({
+                wallets: [...profile.wallets, wallet],
+                mnemonic: words,
+                passphrase: passphraseInput,
+                backedUp: Boolean(importedPhrase),
+            }));
+            setVisiblePrivateKeys((current) => [...current, false]);
+            setShowPhraseCheck(!importedPhrase);
             toast.success("Wallet created successfully");
         }
     };
 
-    const handleAddWallet = () => {
+    const getVanityDerivation = (chainId) =>
+        mnemonicWords.length
+            ? {
+                seed: mnemonicToSeedSync(mnemonicWords.join(" "), passphrase),
+                pathTemplate: pathTemplateFor(chainId),
+                startIndex: nextAccountIndex(chainId),
+            }
+            : null;
+
+    const handleAddWatchOnly = (entry) => {
+        if (wallets.some((wallet) => wallet.chain === entry.chain && wallet.publicKey === entry.publicKey)) {
+            toast.warning("This account is already in your wallet list");
+            return;
+        }
+
+        updateActiveProfile({ wallets: [...wallets, { ...entry, source: "watch" }] });
+        setVisiblePrivateKeys([...visiblePrivateKeys, false]);
+        setShowWatchOnly(false);
+        toast.success(`Watching ${entry.label || entry.publicKey}`);
+    };
+
+    // Random-key matches join the list like imported keys; index matches
+    // are ordinary derived wallets
+    const handleVanityMatch = (chainId, mode, { wallet, accountIndex }) => {
+        const record = mode === "mnemonic"
+            ? { chain: chainId, accountIndex, pathTemplate: pathTemplateFor(chainId), ...wallet, mnemonic: mnemonicWords.join(" ") }
+            : { chain: chainId, ...wallet, source: "imported" };
+
+        updateActiveProfile({ wallets: [...wallets, record] });
+        setVisiblePrivateKeys([...visiblePrivateKeys, false]);
+        toast.success(`Found ${wallet.publicKey}`);
+    };
+
+    const handlePhraseVerified = () => {
+        updateActiveProfile({ backedUp: true });
+        setShowPhraseCheck(false);
+        toast.success("Recovery phrase backup verified");
+    };
+
+    const detectedWordlist = mnemonicInput.trim() ? detectWordlist(mnemonicInput) : null;
+
+    const handleAddWallet = (chainId, accountIndex = nextAccountIndex(chainId)) => {
+        setShowChainMenu(false);
+
         if (!mnemonicWords.length) {
             toast.warning("No mnemonic found. Generate a wallet first");
             return;
         }
 
-        const wallet = generateWalletFromMnemonic(
-            pathTypes[0],
+        if (findDerivedWallet(chainId, accountIndex)) {
+            toast.warning(`Account index ${accountIndex} is already in your wallet list`);
+            return;
+        }
+
+        const wallet = deriveProfileWallet(
+            chainId,
             mnemonicWords.join(" "),
-            wallets.length
+            passphrase,
+            accountIndex
         );
 
         if (wallet) {
-            const updatedWallets = [...wallets, wallet];
-            setWallets(updatedWallets);
-            localStorage.setItem("wallets", JSON.stringify(updatedWallets));
+            updateActiveProfile({ wallets: [...wallets, wallet] });
             setVisiblePrivateKeys([...visiblePrivateKeys, false]);
-            toast.success("Additional wallet created");
+            toast.success(`${getChain(chainId).name} wallet #${accountIndex + 1} added`);
         }
     };
 
+    const handleImportKey = (chainId, key) => {
+        if (wallets.some((wallet) => wallet.chain === chainId && wallet.publicKey === key.publicKey)) {
+            toast.warning("This account is already in your wallet list");
+            return;
+        }
+
+        const wallet = { chain: chainId, ...key, source: "imported" };
+        updateActiveProfile({ wallets: [...wallets, wallet] });
+        setVisiblePrivateKeys([...visiblePrivateKeys, false]);
+        setShowImportKey(false);
+        toast.success(`${getChain(chainId).name} key imported`);
+    };
+
     return (
         <div className="min-h-screen bg-gray-900 text-gray-100">
             <div className="max-w-6xl mx-auto p-6">
@@ -226,271 +755,622 @@ const WalletGenerator = () => {
                     <p className="mt-3 text-gray-400 text-lg">
                         Secure wallet management for the decentralized world
                     </p>
+                    {vaultStatus === "unlocked" && (
+                        <div className="mt-6 flex justify-center gap-2">
+                            <button
+                                className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white flex items-center gap-2"
+                                onClick={() => setShowChangePassword(true)}
+                            >
+                                Change Password
+                            </button>
+                            <button
+                                className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white flex items-center gap-2"
+                                onClick={handleLockVault}
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                                </svg>
+                                Lock
+                            </button>
+                        </div>
+                    )}
                 </div>
 
-                {wallets.length === 0 && (
-                    <div className="flex flex-col gap-6">
-                        {pathTypes.length === 0 && (
-                            <div className="rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-8 shadow-lg">
-                                <div className="flex flex-col gap-4 mb-6">
-                                    <h2 className="text-3xl font-bold text-blue-400">
-                                        Choose Your Blockchain
-                                    </h2>
-                                    <p className="text-gray-400">
-                                        Select a blockchain network to start creating your secure wallets
-                                    </p>
-                                </div>
-                                <div className="flex flex-wrap gap-4">
-                                    <button
-                                        className="px-6 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-xl hover:from-purple-700 hover:to-blue-700 transition-all duration-300 flex items-center gap-3 shadow-lg hover:shadow-blue-900/30"
-                                        onClick={() => {
-                                            setPathTypes(["501"]);
-                                            toast.info("Solana selected");
-                                        }}
-                                    >
-                                        <span className="text-2xl">◎</span>
-                                        <span>Solana</span>
-                                    </button>
+                {dapp.request && (
+                    <ApprovalModal
+                        key={dapp.request.key}
+                        request={dapp.request}
+                        account={dapp.account}
+                        wallets={wallets}
+                        busy={dapp.busy}
+                        onApprove={dapp.approve}
+                        onReject={dapp.reject}
+                    />
+                )}
 
-                                    <button
-                                        className="px-6 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl hover:from-blue-700 hover:to-indigo-700 transition-all duration-300 flex items-center gap-3 shadow-lg hover:shadow-indigo-900/30"
-                                        onClick={() => {
-                                            setPathTypes(["60"]);
-                                            toast.info("Ethereum selected");
-                                        }}
-                                    >
-                                        <span className="text-2xl">Ξ</span>
-                                        <span>Ethereum</span>
-                                    </button>
-                                </div>
-                            </div>
-                        )}
-
-                        {pathTypes.length > 0 && (
-                            <div className="rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-8 shadow-lg">
-                                <div className="flex flex-col gap-3 mb-6">
-                                    <h2 className="text-3xl font-bold text-blue-400">
-                                        {pathTypeName === "Solana" ? "◎" : "Ξ"} Secret Recovery Phrase
-                                    </h2>
-                                    <p className="text-gray-400">
-                                        Save these words in a secure location. They are the only way to recover your funds.
-                                    </p>
+                {sendWallet && (
+                    <SendModal
+                        wallet={sendWallet}
+                        settings={settings}
+                        addressBook={addressBook}
+                        onClose={() => setSendWallet(null)}
+                        onComplete={handleSendComplete}
+                    />
+                )}
+
+                {receiveWallet && (
+                    <ReceiveModal
+                        wallet={receiveWallet}
+                        settings={settings}
+                        onCopy={copyToClipboard}
+                        onClose={() => setReceiveWallet(null)}
+                    />
+                )}
+
+                {showPaperWallet && (
+                    <PaperWallet
+                        profileName={activeProfile.name}
+                        words={mnemonicWords}
+                        passphrase={passphrase}
+                        wallets={wallets.filter((wallet) => !isWatchOnlyWallet(wallet))}
+                        onClose={() => setShowPaperWallet(false)}
+                    />
+                )}
+
+                {showImportKey && (
+                    <ImportKeyModal
+                        onImport={handleImportKey}
+                        onClose={() => setShowImportKey(false)}
+                    />
+                )}
+
+                {passwordPrompt && (
+                    <PasswordPromptModal
+                        {...PASSWORD_PROMPTS[passwordPrompt.action]}
+                        subject={passwordPrompt.action === "printPaperWallet"
+                            ? `Profile "${activeProfile.name}"`
+                            : wallets[passwordPrompt.index].publicKey}
+                        onConfirm={handleConfirmPassword}
+                        onClose={() => setPasswordPrompt(null)}
+                    />
+                )}
+
+                {exportWallet && (
+                    <ExportKeyModal
+                        wallet={exportWallet}
+                        onExported={() => recordAudit("exportKey", exportWallet)}
+                        onClose={() => setExportWallet(null)}
+                    />
+                )}
+
+                {showWatchOnly && (
+                    <WatchOnlyModal
+                        onAdd={handleAddWatchOnly}
+                        onClose={() => setShowWatchOnly(false)}
+                    />
+                )}
+
+                {showSplitPhrase && (
+                    <SplitPhraseModal
+                        mnemonic={mnemonicWords.join(" ")}
+                        onCopy={(share) => copySecret(share, "copyShare")}
+                        onClose={() => setShowSplitPhrase(false)}
+                    />
+                )}
+
+                {showRecoverShares && (
+                    <RecoverSharesModal
+                        onRecover={(mnemonic) => {
+                            setShowRecoverShares(false);
+                            handleGenerateWallet(mnemonic);
+                        }}
+                        onClose={() => setShowRecoverShares(false)}
+                    />
+                )}
+
+                {showPhraseCheck && (
+                    <PhraseCheckModal
+                        words={mnemonicWords}
+                        onVerified={handlePhraseVerified}
+                        onClose={() => setShowPhraseCheck(false)}
+                    />
+                )}
+
+                {showChangePassword && (
+                    <ChangePasswordModal
+                        onSubmit={handleChangePassword}
+                        onClose={() => setShowChangePassword(false)}
+                    />
+                )}
+
+                {vaultStatus !== "unlocked" ? (
+                    <UnlockScreen
+                        mode={vaultStatus === "setup" ? "setup" : "unlock"}
+                        hasLegacyData={vaultStatus === "setup" && readLegacyState() !== null}
+                        onSubmit={vaultStatus === "setup" ? handleCreateVault : handleUnlockVault}
+                    />
+                ) : (
+                    <>
+                    <ProfileBar
+                        profiles={profiles}
+                        activeProfileId={activeProfileId}
+                        onSwitch={handleSwitchProfile}
+                        onCreate={handleCreateProfile}
+                        onRename={handleRenameProfile}
+                        onDelete={handleDeleteProfile}
+                    />
+
+                    <NetworkSettings settings={settings} onChange={handleChangeNetwork} />
+
+                    <TokenSettings settings={settings} onAdd={handleAddToken} onRemove={handleRemoveToken} />
+
+                    <SecurityPanel
+                        settings={settings}
+                        auditLog={auditLog}
+                        profiles={profiles}
+                        onChange={handleChangeSecurity}
+                    />
+
+                    <DerivationPathPanel
+                        key={activeProfileId}
+                        profile={activeProfile}
+                        mnemonic={mnemonicWords.join(" ") || mnemonicInput.trim()}
+                        passphrase={mnemonicWords.length ? passphrase : passphraseInput}
+                        onSave={handleChangePathTemplate}
+                    />
+
+                    <BackupPanel state={vaultState} onImport={handleImportBackup} />
+
+                    {discovery && (
+                        <div className="mb-8 rounded-2xl border border-blue-600/40 bg-blue-900/20 p-4 text-left text-gray-300">
+                            Scanning {getChain(discovery.chainId).name} accounts... checked {discovery.scanned}, found {discovery.found} used
+                        </div>
+                    )}
+
+                    {/* Phrase setup, until the profile has a phrase */}
+                    {mnemonicWords.length === 0 && (
+                        <div className="flex flex-col gap-6">
+                            {!selectedChain && (
+                                <div className="rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-8 shadow-lg">
+                                    <div className="flex flex-col gap-4 mb-6">
+                                        <h2 className="text-3xl font-bold text-blue-400">
+                                            Choose Your Blockchain
+                                        </h2>
+                                        <p className="text-gray-400">
+                                            {wallets.length
+                                                ? "Select a blockchain network to add a recovery phrase to this profile. You can add wallets on other networks later"
+                                                : "Select a blockchain network for your first wallet. You can add wallets on other networks later"}
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-wrap gap-4">
+                                        {listChains().map((chain) => (
+                                            <button
+                                                key={chain.id}
+                                                className={`px-6 py-3 bg-gradient-to-r ${chain.buttonClass} text-white rounded-xl transition-all duration-300 flex items-center gap-3 shadow-lg`}
+                                                onClick={() => {
+                                                    setSelectedChain(chain.id);
+                                                    toast.info(`${chain.name} selected`);
+                                                }}
+                                            >
+                                                <span className="text-2xl">{chain.icon}</span>
+                                                <span>{chain.name}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="mt-6 flex flex-wrap gap-4">
+                                        <button
+                                            className="text-sm text-gray-400 hover:text-white transition-colors underline"
+                                            onClick={() => setShowImportKey(true)}
+                                        >
+                                            Or import a private key or key file
+                                        </button>
+                                        <button
+                                            className="text-sm text-gray-400 hover:text-white transition-colors underline"
+                                            onClick={() => setShowWatchOnly(true)}
+                                        >
+                                            Watch an address
+                                        </button>
+                                    </div>
                                 </div>
-                                <div className="flex flex-col md:flex-row gap-4">
-                                    <input
-                                        type="text"
-                                        className="flex-1 p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
-                                        placeholder="Enter your recovery phrase or leave blank to generate new"
-                                        onChange={(e) => setMnemonicInput(e.target.value)}
-                                        value={mnemonicInput}
-                                    />
+                            )}
+
+                            {selectedChain && (
+                                <div className="rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-8 shadow-lg">
+                                    <div className="flex flex-col gap-3 mb-6">
+                                        <h2 className="text-3xl font-bold text-blue-400">
+                                            {getChain(selectedChain).icon} Secret Recovery Phrase
+                                        </h2>
+                                        <p className="text-gray-400">
+                                            Save these words in a secure location. They are the only way to recover your funds.
+                                        </p>
+                                    </div>
+                                    <div className="flex flex-col md:flex-row gap-4">
+                                        <input
+                                            type="text"
+                                            className="flex-1 p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                                            placeholder="Enter your recovery phrase or leave blank to generate new"
+                                            onChange={(e) => setMnemonicInput(e.target.value)}
+                                            value={mnemonicInput}
+                                        />
+                                        <button
+                                            className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-300 shadow-lg hover:shadow-purple-900/30 disabled:opacity-50"
+                                            disabled={discovery !== null}
+                                            onClick={() => handleGenerateWallet()}
+                                        >
+                                            {mnemonicInput ? "Import Wallet" : "Generate Wallet"}
+                                        </button>
+                                    </div>
+                                    <div className="mt-4 flex flex-col md:flex-row gap-4 md:items-center text-gray-400">
+                                        <label className="flex items-center gap-2">
+                                            Words
+                                            <select
+                                                className="p-2 border bg-gray-950 border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200 disabled:text-gray-500"
+                                                disabled={Boolean(mnemonicInput)}
+                                                value={wordCount}
+                                                onChange={(e) => setWordCount(Number(e.target.value))}
+                                            >
+                                                {WORD_COUNTS.map((count) => (
+                                                    <option key={count} value={count}>{count}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        <input
+                                            type="password"
+                                            className="flex-1 p-2 border bg-gray-950 border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                                            placeholder="BIP39 passphrase (optional)"
+                                            autoComplete="off"
+                                            onChange={(e) => setPassphraseInput(e.target.value)}
+                                            value={passphraseInput}
+                                        />
+                                        {mnemonicInput.trim() && (
+                                            <span className={detectedWordlist ? "text-green-400" : "text-gray-500"}>
+                                                {detectedWordlist ? `${detectedWordlist.name} wordlist` : "Not a valid phrase yet"}
+                                            </span>
+                                        )}
+                                    </div>
+                                    {passphraseInput && (
+                                        <p className="mt-2 text-sm text-yellow-400">
+                                            Every passphrase opens a different set of wallets. Without the exact passphrase the phrase alone cannot restore them.
+                                        </p>
+                                    )}
                                     <button
-                                        className="px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl hover:from-blue-700 hover:to-purple-700 transition-all duration-300 shadow-lg hover:shadow-purple-900/30"
-                                        onClick={handleGenerateWallet}
+                                        className="mt-4 text-sm text-gray-400 hover:text-white transition-colors underline disabled:opacity-50"
+                                        disabled={discovery !== null}
+                                        onClick={() => setShowRecoverShares(true)}
                                     >
-                                        {mnemonicInput ? "Import Wallet" : "Generate Wallet"}
+                                        Recover from Shamir shares
                                     </button>
+                                    {mnemonicInput && (
+                                        <div className="mt-4 flex flex-wrap gap-4 items-center text-gray-400">
+                                            <label className="flex items-center gap-2 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={discoverOnImport}
+                                                    onChange={(e) => setDiscoverOnImport(e.target.checked)}
+                                                />
+                                                Scan for used accounts
+                                            </label>
+                                            <label className="flex items-center gap-2">
+                                                Gap limit
+                                                <input
+                                                    type="number"
+                                                    min={1}
+                                                    className="w-20 p-2 border bg-gray-950 border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200"
+                                                    disabled={!discoverOnImport}
+                                                    value={gapLimit}
+                                                    onChange={(e) => setGapLimit(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                                                />
+                                            </label>
+                                        </div>
+                                    )}
                                 </div>
-                            </div>
-                        )}
-                    </div>
-                )}
+                            )}
+                        </div>
+                    )}
 
-                {/* Display Secret Phrase */}
-                {mnemonicWords.length > 0 && wallets.length > 0 && (
-                    <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg">
-                        <div
-                            className="flex w-full justify-between items-center cursor-pointer"
-                            onClick={() => setShowMnemonic(!showMnemonic)}
-                        >
-                            <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
-                                <span className="text-purple-400">🔑</span>
-                                Secret Recovery Phrase
-                            </h2>
-                            <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
-                                {showMnemonic ? "▲" : "▼"}
+                    {mnemonicWords.length > 0 && !activeProfile.backedUp && (
+                        <div className="my-8 rounded-2xl border border-red-600/40 bg-red-900/20 p-6 text-left flex flex-col md:flex-row gap-4 md:items-center justify-between">
+                            <div>
+                                <h3 className="text-lg font-bold text-red-400 flex items-center gap-2">
+                                    <span>⚠</span>
+                                    Recovery phrase not backed up
+                                </h3>
+                                <p className="mt-2 text-gray-300">
+                                    These wallets cannot be restored if this browser's data is lost. Write the phrase down and verify it.
+                                </p>
+                            </div>
+                            <button
+                                className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 whitespace-nowrap"
+                                onClick={() => setShowPhraseCheck(true)}
+                            >
+                                Back Up Now
                             </button>
                         </div>
+                    )}
 
-                        {showMnemonic && (
+                    {/* Display Secret Phrase */}
+                    {mnemonicWords.length > 0 && (
+                        <div className="my-8 rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm p-6 shadow-lg">
                             <div
-                                className="mt-6 flex flex-col w-full items-center justify-center"
-                                onClick={() => copyToClipboard(mnemonicWords.join(" "))}
+                                className="flex w-full justify-between items-center cursor-pointer"
+                                onClick={toggleMnemonic}
                             >
-                                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 w-full">
-                                    {mnemonicWords.map((word, index) => (
-                                        <div
-                                            key={index}
-                                            className="bg-gray-950 border border-gray-800 hover:border-blue-500 transition-all rounded-lg p-3 flex items-center"
-                                        >
-                                            <span className="text-blue-400 mr-2 w-6 text-center">{index + 1}</span>
-                                            <span className="text-gray-300">{word}</span>
-                                        </div>
-                                    ))}
-                                </div>
-                                <div className="text-sm text-gray-500 mt-4 flex w-full gap-2 items-center hover:text-blue-400 transition-all cursor-pointer">
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3" />
-                                    </svg>
-                                    Click to copy entire phrase
-                                </div>
+                                <h2 className="text-2xl font-bold text-blue-400 flex items-center gap-2">
+                                    <span className="text-purple-400">🔑</span>
+                                    Secret Recovery Phrase
+                                </h2>
+                                <button className="p-2 rounded-full hover:bg-gray-700/50 transition-colors text-blue-400">
+                                    {showMnemonic ? "▲" : "▼"}
+                                </button>
                             </div>
-                        )}
-                    </div>
-                )}
 
-                {/* Display wallet pairs */}
-                {wallets.length > 0 && (
-                    <div className="my-8">
-                        <div className="flex md:flex-row flex-col justify-between w-full gap-4 md:items-center mb-8">
-                            <h2 className="text-3xl font-bold text-blue-400 flex items-center gap-2">
-                                <span className={pathTypeName === "Solana" ? "text-purple-500" : "text-blue-500"}>
-                                    {pathTypeName === "Solana" ? "◎" : "Ξ"}
-                                </span>
-                                {pathTypeName} Wallets
-                                <span className="text-sm font-normal text-gray-400 ml-2">
-                                    ({wallets.length})
-                                </span>
-                            </h2>
-                            <div className="flex gap-2">
-                                {wallets.length > 1 && (
+                            {showMnemonic && (
+                                <div
+                                    className="mt-6 flex flex-col w-full items-center justify-center"
+                                    onClick={() => copySecret(mnemonicWords.join(" "), "copyPhrase")}
+                                >
+                                    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 w-full">
+                                        {mnemonicWords.map((word, index) => (
+                                            <div
+                                                key={index}
+                                                className="bg-gray-950 border border-gray-800 hover:border-blue-500 transition-all rounded-lg p-3 flex items-center"
+                                            >
+                                                <span className="text-blue-400 mr-2 w-6 text-center">{index + 1}</span>
+                                                <span className="text-gray-300">{word}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <div className="text-sm text-gray-500 mt-4 flex w-full gap-2 items-center hover:text-blue-400 transition-all cursor-pointer">
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 5H6a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2v-1M8 5a2 2 0 002 2h2a2 2 0 002-2M8 5a2 2 0 012-2h2a2 2 0 012 2m0 0h2a2 2 0 012 2v3m2 4H10m0 0l3-3m-3 3l3 3" />
+                                        </svg>
+                                        Click to copy entire phrase
+                                    </div>
+                                </div>
+                            )}
+                            {showMnemonic && passphrase && (
+                                <p className="mt-4 text-sm text-yellow-400">
+                                    This profile also uses a BIP39 passphrase. Keep it with the phrase; both are needed to recover these wallets.
+                                </p>
+                            )}
+                            {showMnemonic && (
+                                <div className="mt-4 flex flex-wrap gap-2">
                                     <button
-                                        className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white flex items-center gap-2"
-                                        onClick={() => setGridView(!gridView)}
+                                        className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                        onClick={() => setShowPhraseCheck(true)}
                                     >
-                                        {gridView ? (
-                                            <>
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
-                                                </svg>
-                                                List
-                                            </>
-                                        ) : (
-                                            <>
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
-                                                </svg>
-                                                Grid
-                                            </>
-                                        )}
+                                        Verify backup
                                     </button>
-                                )}
-                                <button
-                                    className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 flex items-center gap-2"
-                                    onClick={handleAddWallet}
-                                >
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                                    </svg>
-                                    Add Wallet
-                                </button>
-                                <button
-                                    className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 flex items-center gap-2"
-                                    onClick={() => {
-                                        if (window.confirm("Are you sure you want to clear all wallets? This action cannot be undone.")) {
-                                            handleClearWallets();
-                                        }
-                                    }}
-                                >
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                    </svg>
-                                    Clear All
-                                </button>
-                            </div>
+                                    <button
+                                        className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                        onClick={() => setShowSplitPhrase(true)}
+                                    >
+                                        Split into Shamir shares
+                                    </button>
+                                </div>
+                            )}
                         </div>
+                    )}
 
-                        <div
-                            className={`grid gap-6 grid-cols-1 ${gridView ? "md:grid-cols-2 lg:grid-cols-3" : ""}`}
-                        >
-                            {wallets.map((wallet, index) => (
-                                <div
-                                    key={index}
-                                    className="rounded-2xl border border-gray-800 bg-gray-800/50 backdrop-blur-sm overflow-hidden shadow-lg hover:shadow-xl transition-all hover:border-gray-700"
-                                >
-                                    <div className="flex justify-between items-center px-6 py-4 border-b border-gray-800 bg-gray-900">
-                                        <h3 className="font-bold text-xl text-blue-400 flex items-center gap-2">
-                                            <span className={`text-lg ${pathTypeName === "Solana" ? "text-purple-400" : "text-blue-400"}`}>
-                                                {pathTypeName === "Solana" ? "◎" : "Ξ"}
-                                            </span>
-                                            Wallet #{index + 1}
-                                        </h3>
+                    {/* Display wallet pairs */}
+                    {(wallets.length > 0 || mnemonicWords.length > 0) && (
+                        <div className="my-8">
+                            <div className="flex md:flex-row flex-col justify-between w-full gap-4 md:items-center mb-8">
+                                <h2 className="text-3xl font-bold text-blue-400 flex items-center gap-2">
+                                    Wallets
+                                    <span className="text-sm font-normal text-gray-400 ml-2">
+                                        ({wallets.length})
+                                    </span>
+                                </h2>
+                                <div className="flex gap-2">
+                                    <button
+                                        className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white flex items-center gap-2"
+                                        title="Refresh all balances"
+                                        onClick={() => refreshBalances(wallets)}
+                                    >
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                        </svg>
+                                        Balances
+                                    </button>
+                                    {wallets.some((wallet) => !isWatchOnlyWallet(wallet)) && (
                                         <button
-                                            className="text-red-500 hover:text-red-400 transition-colors p-2 rounded-full hover:bg-gray-800"
-                                            onClick={() => {
-                                                if (window.confirm("Delete this wallet?")) {
-                                                    handleDeleteWallet(index);
-                                                }
-                                            }}
+                                            className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                                            title="Print the recovery phrase, addresses and keys"
+                                            onClick={() => setPasswordPrompt({ action: "printPaperWallet" })}
+                                        >
+                                            Paper Wallet
+                                        </button>
+                                    )}
+                                    {wallets.length > 1 && (
+                                        <button
+                                            className="px-3 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white flex items-center gap-2"
+                                            onClick={() => setGridView(!gridView)}
+                                        >
+                                            {gridView ? (
+                                                <>
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
+                                                    </svg>
+                                                    List
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
+                                                    </svg>
+                                                    Grid
+                                                </>
+                                            )}
+                                        </button>
+                                    )}
+                                    <div className="relative">
+                                        <button
+                                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 flex items-center gap-2"
+                                            onClick={() => setShowChainMenu(!showChainMenu)}
                                         >
                                             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
                                             </svg>
+                                            Add Wallet
                                         </button>
-                                    </div>
-                                    <div className="flex flex-col gap-6 px-6 py-5">
-                                        <div className="flex flex-col w-full gap-2">
-                                            <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-green-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
-                                                </svg>
-                                                Public Key
-                                            </span>
-                                            <div
-                                                className="group bg-gray-950 border border-gray-800 hover:border-green-500/30 rounded-lg p-3 cursor-pointer transition-all"
-                                                onClick={() => copyToClipboard(wallet.publicKey)}
-                                            >
-                                                <div className="flex items-center justify-between">
-                                                    <p className="text-gray-300 truncate pr-2">
-                                                        {wallet.publicKey}
-                                                    </p>
-                                                    <span className="text-gray-600 group-hover:text-green-500 transition-colors">
-                                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                                                        </svg>
-                                                    </span>
-                                                </div>
-                                            </div>
-                                        </div>
-                                        <div className="flex flex-col w-full gap-2">
-                                            <span className="text-lg font-medium text-gray-400 flex items-center gap-2">
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-red-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                                                </svg>
-                                                Private Key
-                                            </span>
-                                            <div className="flex justify-between w-full bg-gray-950 border border-gray-800 hover:border-red-500/30 rounded-lg p-3 transition-all">
-                                                <p
-                                                    onClick={() => visiblePrivateKeys[index] && copyToClipboard(wallet.privateKey)}
-                                                    className={`truncate pr-2 ${visiblePrivateKeys[index] ? "text-gray-300 cursor-pointer" : "text-gray-600"}`}
+                                        {showChainMenu && (
+                                            <div className="absolute right-0 mt-2 z-10 min-w-full rounded-lg border border-gray-700 bg-gray-900 shadow-lg overflow-hidden">
+                                                {listChains().map((chain) => (
+                                                    <div key={chain.id} className="flex items-center hover:bg-gray-800 transition-colors">
+                                                        <button
+                                                            className="flex-1 px-4 py-2 text-left flex items-center gap-2 whitespace-nowrap"
+                                                            onClick={() => handleAddWallet(chain.id)}
+                                                        >
+                                                            <span className={chain.textClass}>{chain.icon}</span>
+                                                            {chain.name}
+                                                        </button>
+                                                        <button
+                                                            className="px-3 py-2 text-sm text-gray-500 hover:text-white"
+                                                            title={`Derive a specific ${chain.name} account index`}
+                                                            onClick={() => handleDeriveAccountIndex(chain.id)}
+                                                        >
+                                                            #
+                                                        </button>
+                                                        <button
+                                                            className="px-3 py-2 text-sm text-gray-500 hover:text-white disabled:opacity-50"
+                                                            title={`Scan for used ${chain.name} accounts (gap limit ${gapLimit})`}
+                                                            disabled={discovery !== null}
+                                                            onClick={() => handleScanAccounts(chain.id)}
+                                                        >
+                                                            ⟳
+                                                        </button>
+                                                    </div>
+                                                ))}
+                                                <button
+                                                    className="w-full px-4 py-2 text-left border-t border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white transition-colors whitespace-nowrap"
+                                                    onClick={() => {
+                                                        setShowChainMenu(false);
+                                                        setShowImportKey(true);
+                                                    }}
                                                 >
-                                                    {visiblePrivateKeys[index]
-                                                        ? wallet.privateKey
-                                                        : "•".repeat(Math.min(40, wallet.privateKey.length))}
-                                                </p>
+                                                    Import private key...
+                                                </button>
                                                 <button
-                                                    className={`transition-colors ${visiblePrivateKeys[index] ? "text-red-500 hover:text-red-400" : "text-gray-500 hover:text-gray-400"}`}
-                                                    onClick={() => togglePrivateKeyVisibility(index)}
-                                                    title={visiblePrivateKeys[index] ? "Hide private key" : "Show private key"}
+                                                    className="w-full px-4 py-2 text-left text-gray-400 hover:bg-gray-800 hover:text-white transition-colors whitespace-nowrap"
+                                                    onClick={() => {
+                                                        setShowChainMenu(false);
+                                                        setShowWatchOnly(true);
+                                                    }}
                                                 >
-                                                    {visiblePrivateKeys[index] ? (
-                                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21" />
-                                                        </svg>
-                                                    ) : (
-                                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                                                        </svg>
-                                                    )}
+                                                    Watch address...
                                                 </button>
                                             </div>
-                                        </div>
+                                        )}
+                                    </div>
+                                    <button
+                                        className="px-4 py-2 bg-gradient-to-r from-red-600 to-pink-600 rounded-lg hover:from-red-700 hover:to-pink-700 transition-all shadow-md hover:shadow-red-900/20 flex items-center gap-2"
+                                        onClick={() => {
+                                            if (window.confirm("Are you sure you want to clear all wallets and the recovery phrase in this profile? This action cannot be undone.")) {
+                                                handleClearWallets();
+                                            }
+                                        }}
+                                    >
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                        </svg>
+                                        Clear All
+                                    </button>
+                                </div>
+                            </div>
+
+                            {legacyWalletCount > 0 && (
+                                <div className="mb-8 rounded-2xl border border-yellow-600/40 bg-yellow-900/20 p-6 text-left">
+                                    <h3 className="text-lg font-bold text-yellow-400 flex items-center gap-2">
+                                        <span>⚠</span>
+                                        Legacy derivation detected
+                                    </h3>
+                                    <p className="mt-2 text-gray-300">
+                                        {legacyWalletCount} {legacyWalletCount === 1 ? "wallet was" : "wallets were"} created
+                                        with an older, non-standard derivation scheme. Phantom, MetaMask and other wallets
+                                        will not find these addresses from your recovery phrase. Move any funds to a newly
+                                        added wallet, then delete the ones marked "Legacy".
+                                    </p>
+                                </div>
+                            )}
+
+                            {chainsInUse.length > 1 && (
+                                <div className="mb-8 flex flex-wrap gap-2">
+                                    {[{ id: "all", name: "All", icon: null }, ...chainsInUse].map((chain) => (
+                                        <button
+                                            key={chain.id}
+                                            className={`px-3 py-2 border rounded-lg transition-colors flex items-center gap-2 ${activeChainFilter === chain.id ? "border-blue-500 text-white bg-gray-800" : "border-gray-700 text-gray-400 hover:bg-gray-800 hover:text-white"}`}
+                                            onClick={() => setChainFilter(chain.id)}
+                                        >
+                                            {chain.icon && <span className={chain.textClass}>{chain.icon}</span>}
+                                            {chain.name}
+                                            <span className="text-sm text-gray-500">
+                                                ({chain.id === "all" ? wallets.length : countChainWallets(chain.id)})
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {walletGroups.map(({ chain, entries }) => (
+                                <div key={chain.id} className="mb-10">
+                                    <h3 className="text-2xl font-bold text-blue-400 flex items-center gap-2 mb-4">
+                                        <span className={chain.textClass}>{chain.icon}</span>
+                                        {chain.name} Wallets
+                                    </h3>
+                                    <div
+                                        className={`grid gap-6 grid-cols-1 ${gridView ? "md:grid-cols-2 lg:grid-cols-3" : ""}`}
+                                    >
+                                        {entries.map(({ wallet, index }) => (
+                                            <WalletCard
+                                                key={index}
+                                                wallet={wallet}
+                                                label={walletLabel(wallet)}
+                                                legacy={isLegacyWallet(wallet)}
+                                                privateKeyVisible={visiblePrivateKeys[index]}
+                                                onTogglePrivateKey={() => togglePrivateKeyVisibility(index)}
+                                                onDelete={() => handleDeleteWallet(index)}
+                                                onCopy={copyToClipboard}
+                                                onCopyPrivateKey={() => copySecret(wallet.privateKey, "copyKey", wallet)}
+                                                balance={balances[balanceKey(wallet)]}
+                                                tokens={tokenBalances[balanceKey(wallet)]}
+                                                history={history?.[historyKey(settings, wallet)]}
+                                                historyReady={history !== null}
+                                                onLoadHistory={(cursor) => loadHistory(wallet, cursor)}
+                                                onRefreshBalance={() => refreshBalances([wallet])}
+                                                onSend={() => setSendWallet(wallet)}
+                                                onReceive={() => setReceiveWallet(wallet)}
+                                                onExport={() => setPasswordPrompt({ action: "exportKey", index })}
+                                            />
+                                        ))}
                                     </div>
                                 </div>
                             ))}
                         </div>
-                    </div>
+                    )}
+
+                    <VanityPanel getDerivation={getVanityDerivation} onMatch={handleVanityMatch} />
+
+                    <AddressBookPanel
+                        addressBook={addressBook}
+                        onAdd={handleAddContact}
+                        onDelete={handleDeleteContact}
+                        onCopy={copyToClipboard}
+                    />
+
+                    <SignVerifyPanel
+                        wallets={wallets.filter((wallet) => !isWatchOnlyWallet(wallet))}
+                        addressBook={addressBook}
+                        onCopy={copyToClipboard}
+                    />
+
+                    <AirGapPanel
+                        wallets={wallets}
+                        settings={settings}
+                        addressBook={addressBook}
+                        onCopy={copyToClipboard}
+                    />
+                    </>
                 )}
 
                 {/* Footer */}
@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { getChain, listChains } from "../lib/chains";
+
+const inputClass = "p-3 border bg-gray-950 border-gray-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-200";
+
+const WatchOnlyModal = ({ onAdd, onClose }) => {
+    const [chainId, setChainId] = useState(listChains()[0].id);
+    const [address, setAddress] = useState("");
+    const [label, setLabel] = useState("");
+    const [note, setNote] = useState("");
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const chain = getChain(chainId);
+        if (!chain.isValidAddress(address.trim())) {
+            toast.error(`Invalid ${chain.name} address`);
+            return;
+        }
+
+        onAdd({
+            chain: chainId,
+            publicKey: chain.normalizeAddress(address.trim()),
+            label: label.trim(),
+            note: note.trim(),
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+            <form
+                className="w-full max-w-lg rounded-2xl border border-gray-800 bg-gray-900 p-8 shadow-lg text-left"
+                onSubmit={handleSubmit}
+            >
+                <h2 className="text-2xl font-bold text-blue-400 mb-2">Watch an Address</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                    Watch-only accounts show balances but hold no key, so nothing can be signed or sent from them.
+                </p>
+                <div className="flex flex-col gap-4">
+                    <select className={inputClass} value={chainId} onChange={(e) => setChainId(e.target.value)}>
+                        {listChains().map((option) => (
+                            <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        className={`${inputClass} font-mono`}
+                        placeholder="Address"
+                        autoFocus
+                        onChange={(e) => setAddress(e.target.value)}
+                        value={address}
+                    />
+                    <input
+                        type="text"
+                        className={inputClass}
+                        placeholder="Label"
+                        onChange={(e) => setLabel(e.target.value)}
+                        value={label}
+                    />
+                    <textarea
+                        className={inputClass}
+                        rows={2}
+                        placeholder="Note (optional)"
+                        onChange={(e) => setNote(e.target.value)}
+                        value={note}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            className="px-4 py-2 border border-gray-700 rounded-lg hover:bg-gray-800 transition-colors text-gray-400 hover:text-white"
+                            onClick={onClose}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!address}
+                            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all shadow-md hover:shadow-purple-900/20 disabled:opacity-50"
+                        >
+                            Watch
+                        </button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default WatchOnlyModal;
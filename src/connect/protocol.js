@@ -0,0 +1,24 @@
+// Messages exchanged over postMessage between a dapp page and the vault
+// window it opened. The dapp sends { type: REQUEST, request } with
+// request = { id, namespace, method, params }; the vault answers with
+// { type: RESPONSE, id, result } or { type: RESPONSE, id, error: { code, message } }.
+// READY is sent by the vault once it listens, so requests are never lost
+// to a window that is still loading. The dapp echoes it back, and the vault
+// then only accepts requests from the origin of that echo.
+
+export const MESSAGE_TYPES = {
+    READY: "fluxorr-vault:ready",
+    REQUEST: "fluxorr-vault:request",
+    RESPONSE: "fluxorr-vault:response",
+};
+
+// EIP-1193 provider error codes, used for both namespaces
+export const ERROR_CODES = {
+    REJECTED: 4001,
+    UNAUTHORIZED: 4100,
+    UNSUPPORTED: 4200,
+    DISCONNECTED: 4900,
+    INTERNAL: -32603,
+};
+
+export const providerError = (code, message) => Object.assign(new Error(message), { code });
@@ -0,0 +1,230 @@
+import { ERROR_CODES, MESSAGE_TYPES, providerError } from "./protocol";
+
+// Runs inside the dapp page. Requests are forwarded to the vault in a
+// popup window, which asks the user to approve each of them, so the
+// dapp never sees a key.
+//
+//   import { installProvider } from ".../src/connect/provider.js";
+//   installProvider({ vaultUrl: "http://localhost:5173/wallet-revamp/" });
+//
+// installs an EIP-1193 provider as window.ethereum (and announces it over
+// EIP-6963) and registers a Solana wallet with the Wallet Standard.
+
+const WALLET_NAME = "Crypto Vault";
+const WINDOW_NAME = "fluxorr-vault";
+const CLOSED_POLL_MS = 500;
+
+const SOLANA_CHAINS = ["solana:mainnet", "solana:devnet", "solana:localnet"];
+
+const ICON = `data:image/svg+xml;base64,${btoa(
+    "<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 32 32'><rect width='32' height='32' rx='8' fill='#2563eb'/><path d='M9 14h14v10H9z' fill='none' stroke='#fff' stroke-width='2'/><path d='M12 14v-3a4 4 0 018 0v3' fill='none' stroke='#fff' stroke-width='2'/></svg>"
+)}`;
+
+const createTransport = (vaultUrl) => {
+    const vaultOrigin = new URL(vaultUrl, window.location.href).origin;
+    const pending = new Map();
+    let nextId = 1;
+    let vaultWindow = null;
+    let ready = null;
+    let markReady = null;
+
+    window.addEventListener("message", (event) => {
+        if (event.source !== vaultWindow || event.origin !== vaultOrigin) {
+            return;
+        }
+        const { type, id, result, error } = event.data ?? {};
+
+        // Acknowledging READY lets the vault pin this page's origin before
+        // any request arrives
+        if (type === MESSAGE_TYPES.READY) {
+            vaultWindow.postMessage({ type: MESSAGE_TYPES.READY }, vaultOrigin);
+            markReady();
+        }
+        if (type === MESSAGE_TYPES.RESPONSE && pending.has(id)) {
+            const { resolve, reject } = pending.get(id);
+            pending.delete(id);
+            if (error) {
+                reject(providerError(error.code, error.message));
+            } else {
+                resolve(result);
+            }
+        }
+    });
+
+    // Outstanding requests fail once the user closes the vault window
+    const watchClosed = () => {
+        const timer = setInterval(() => {
+            if (!vaultWindow.closed) {
+                return;
+            }
+            clearInterval(timer);
+            vaultWindow = null;
+            pending.forEach(({ reject }) => reject(providerError(ERROR_CODES.DISCONNECTED, "The vault window was closed")));
+            pending.clear();
+        }, CLOSED_POLL_MS);
+    };
+
+    // Must run synchronously inside the user's click, or the popup is blocked
+    const open = () => {
+        if (vaultWindow) {
+            return ready;
+        }
+        vaultWindow = window.open(vaultUrl, WINDOW_NAME, "popup,width=520,height=760");
+        if (!vaultWindow) {
+            return Promise.reject(providerError(ERROR_CODES.DISCONNECTED, "The vault window was blocked"));
+        }
+        ready = new Promise((resolve) => {
+            markReady = resolve;
+        });
+        watchClosed();
+        return ready;
+    };
+
+    const request = async (namespace, method, params) => {
+        await open();
+        const id = nextId++;
+
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            vaultWindow.postMessage({ type: MESSAGE_TYPES.REQUEST, request: { id, namespace, method, params } }, vaultOrigin);
+        });
+    };
+
+    return { request, isOpen: () => vaultWindow !== null };
+};
+
+const createEthereumProvider = (transport) => {
+    const listeners = new Map();
+
+    const emit = (event, value) => {
+        listeners.get(event)?.forEach((listener) => listener(value));
+    };
+
+    const provider = {
+        isCryptoVault: true,
+
+        request: async ({ method, params = [] }) => {
+            const result = await transport.request("eip155", method, params);
+            if (method === "eth_requestAccounts") {
+                emit("accountsChanged", result);
+            }
+            return result;
+        },
+
+        on: (event, listener) => {
+            listeners.set(event, (listeners.get(event) ?? new Set()).add(listener));
+            return provider;
+        },
+
+        removeListener: (event, listener) => {
+            listeners.get(event)?.delete(listener);
+            return provider;
+        },
+    };
+
+    return provider;
+};
+
+const announceEthereumProvider = (provider) => {
+    const detail = Object.freeze({
+        info: Object.freeze({ uuid: crypto.randomUUID(), name: WALLET_NAME, icon: ICON, rdns: "io.github.fluxorr.wallet-revamp" }),
+        provider,
+    });
+    const announce = () => window.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail }));
+
+    window.addEventListener("eip6963:requestProvider", announce);
+    announce();
+};
+
+const createSolanaWallet = (transport) => {
+    const listeners = new Set();
+    let accounts = [];
+
+    const setAccounts = (connected) => {
+        accounts = connected.map(({ address, publicKey }) => Object.freeze({
+            address,
+            publicKey: new Uint8Array(publicKey),
+            chains: SOLANA_CHAINS,
+            features: ["solana:signTransaction", "solana:signMessage"],
+        }));
+        listeners.forEach((listener) => listener({ accounts }));
+    };
+
+    return {
+        version: "1.0.0",
+        name: WALLET_NAME,
+        icon: ICON,
+        chains: SOLANA_CHAINS,
+        get accounts() {
+            return accounts;
+        },
+        features: {
+            "standard:connect": {
+                version: "1.0.0",
+                // A silent connect must not pop up a window
+                connect: async ({ silent = false } = {}) => {
+                    if (!silent || transport.isOpen()) {
+                        setAccounts(await transport.request("solana", "connect", { silent }));
+                    }
+                    return { accounts };
+                },
+            },
+            "standard:disconnect": {
+                version: "1.0.0",
+                disconnect: async () => {
+                    if (transport.isOpen()) {
+                        await transport.request("solana", "disconnect", {});
+                    }
+                    setAccounts([]);
+                },
+            },
+            "standard:events": {
+                version: "1.0.0",
+                on: (event, listener) => {
+                    if (event !== "change") {
+                        return () => {};
+                    }
+                    listeners.add(listener);
+                    return () => listeners.delete(listener);
+                },
+            },
+            "solana:signTransaction": {
+                version: "1.0.0",
+                supportedTransactionVersions: ["legacy", 0],
+                signTransaction: (...inputs) => Promise.all(inputs.map(async ({ account, transaction }) => ({
+                    signedTransaction: await transport.request("solana", "signTransaction", { address: account.address, transaction }),
+                }))),
+            },
+            "solana:signMessage": {
+                version: "1.0.0",
+                signMessage: (...inputs) => Promise.all(inputs.map(async ({ account, message }) => ({
+                    signedMessage: message,
+                    signature: await transport.request("solana", "signMessage", { address: account.address, message }),
+                }))),
+            },
+        },
+    };
+};
+
+// The Wallet Standard handshake works in either order: the wallet
+// announces itself now, and again to any app that says it is ready later
+const registerSolanaWallet = (wallet) => {
+    const callback = ({ register }) => register(wallet);
+
+    window.dispatchEvent(new CustomEvent("wallet-standard:register-wallet", { detail: callback }));
+    window.addEventListener("wallet-standard:app-ready", ({ detail: api }) => callback(api));
+};
+
+export const installProvider = ({ vaultUrl }) => {
+    const transport = createTransport(vaultUrl);
+    const ethereum = createEthereumProvider(transport);
+    const solana = createSolanaWallet(transport);
+
+    if (!window.ethereum) {
+        window.ethereum = ethereum;
+    }
+    announceEthereumProvider(ethereum);
+    registerSolanaWallet(solana);
+
+    return { ethereum, solana };
+};
@@ -0,0 +1,30 @@
+import { useEffect } from "react";
+
+// Calls `hide` when the page loses focus or goes to the background while
+// something is revealed, and after `seconds` unless that is 0. `revealed`
+// is any value that is falsy when nothing is shown; the timer restarts
+// whenever it changes. `hide` must be stable.
+const useAutoHide = (revealed, hide, seconds) => {
+    useEffect(() => {
+        if (!revealed) {
+            return;
+        }
+
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                hide();
+            }
+        };
+        const timer = seconds > 0 ? setTimeout(hide, seconds * 1000) : null;
+
+        window.addEventListener("blur", hide);
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+        return () => {
+            clearTimeout(timer);
+            window.removeEventListener("blur", hide);
+            document.removeEventListener("visibilitychange", handleVisibilityChange);
+        };
+    }, [revealed, hide, seconds]);
+};
+
+export default useAutoHide;
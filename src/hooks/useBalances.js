@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from "react";
+import { getChain } from "../lib/chains";
+import { getRpcUrl } from "../lib/networks";
+import { formatBalance, describeRpcError } from "../lib/balances";
+
+export const balanceKey = (wallet) => `${wallet.chain}:${wallet.publicKey}`;
+
+export const parseBalanceKey = (key) => {
+    const [chain, publicKey] = key.split(":");
+    return { chain, publicKey };
+};
+
+const withEntries = (balances, targets, entry) => ({
+    ...balances,
+    ...Object.fromEntries(targets.map((target, i) => {
+        const key = balanceKey(target);
+        return [key, typeof entry === "function" ? entry(i, balances[key]) : entry];
+    })),
+});
+
+// Native balances for a list of wallets, fetched with one batched request
+// per chain. Entries look like { loading, amount, error }.
+const useBalances = (wallets, settings) => {
+    const [balances, setBalances] = useState({});
+
+    const refresh = useCallback(async (targets) => {
+        const chainIds = [...new Set(targets.map((target) => target.chain))];
+
+        await Promise.all(chainIds.map(async (chainId) => {
+            const chain = getChain(chainId);
+            const chainTargets = targets.filter((target) => target.chain === chainId);
+
+            // Keep showing the last known amount until the new one arrives
+            setBalances((current) => withEntries(current, chainTargets, (_, previous) => ({
+                amount: previous?.amount,
+                loading: true,
+            })));
+            try {
+                const values = await chain.getBalances(
+                    getRpcUrl(settings, chainId),
+                    chainTargets.map((target) => target.publicKey)
+                );
+                setBalances((current) => withEntries(current, chainTargets, (i) => ({
+                    amount: formatBalance(chain, values[i]),
+                })));
+            } catch (error) {
+                console.error(`Error fetching ${chain.name} balances:`, error);
+                setBalances((current) => withEntries(current, chainTargets, { error: describeRpcError(error) }));
+            }
+        }));
+    }, [settings]);
+
+    // Re-fetch whenever the set of wallets or the endpoints change
+    const walletKeys = wallets.map(balanceKey).join(",");
+
+    useEffect(() => {
+        if (walletKeys) {
+            refresh(walletKeys.split(",").map(parseBalanceKey));
+        }
+    }, [walletKeys, refresh]);
+
+    return { balances, refresh };
+};
+
+export default useBalances;
@@ -0,0 +1,155 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { ERROR_CODES, MESSAGE_TYPES, providerError } from "../connect/protocol";
+import { NAMESPACES, authorize, getHandler, needsApproval, runRequest } from "../lib/dapp";
+
+// Answers only reach the origin that was pinned for the request, never "*"
+const reply = (request, message) => {
+    request.source.postMessage({ type: MESSAGE_TYPES.RESPONSE, id: request.id, ...message }, request.origin);
+};
+
+const toErrorMessage = (error) => ({
+    error: { code: error.code ?? ERROR_CODES.INTERNAL, message: error.shortMessage ?? error.message },
+});
+
+// Serves requests from the dapp page that opened this window, one at a
+// time and only while the vault is unlocked. The opener's origin is pinned
+// when it acknowledges READY; messages from other windows or origins, and
+// from pages with the opaque origin "null", are ignored. `request` is the one waiting
+// for the user; it carries the origin, namespace, method, params and the
+// handler resolved for it. Grants live for this window only.
+const useDappBridge = ({ wallets, settings, unlocked }) => {
+    const [queue, setQueue] = useState([]);
+    const [connections, setConnections] = useState({});
+    const [busy, setBusy] = useState(false);
+    const started = useRef(new Set());
+
+    useEffect(() => {
+        let dappOrigin = null;
+
+        const handleMessage = (event) => {
+            if (!window.opener || event.source !== window.opener) {
+                return;
+            }
+            if (event.data?.type === MESSAGE_TYPES.READY && dappOrigin === null) {
+                if (event.origin === "null") {
+                    console.warn("Ignoring a dapp page with an opaque origin; serve it over http(s)");
+                    return;
+                }
+                dappOrigin = event.origin;
+                return;
+            }
+            if (event.data?.type !== MESSAGE_TYPES.REQUEST || event.origin !== dappOrigin) {
+                return;
+            }
+            const { id, namespace, method, params } = event.data.request;
+            setQueue((current) => [...current, {
+                key: crypto.randomUUID(),
+                id,
+                namespace,
+                method,
+                params,
+                origin: event.origin,
+                source: event.source,
+            }]);
+        };
+
+        window.addEventListener("message", handleMessage);
+        window.opener?.postMessage({ type: MESSAGE_TYPES.READY }, "*");
+        return () => window.removeEventListener("message", handleMessage);
+    }, []);
+
+    const walletFor = useCallback((request, publicKey) => wallets.find((wallet) =>
+        wallet.chain === NAMESPACES[request.namespace] && wallet.publicKey === publicKey
+    ), [wallets]);
+
+    // A granted account that is no longer in the active profile counts as
+    // not granted, so signing fails and connecting asks again
+    const connectionFor = useCallback((request) => {
+        const publicKey = connections[request.origin]?.[request.namespace];
+        return walletFor(request, publicKey) ? publicKey : undefined;
+    }, [connections, walletFor]);
+
+    const finish = useCallback((request, message) => {
+        reply(request, message);
+        setQueue((current) => current.filter((queued) => queued.key !== request.key));
+    }, []);
+
+    const execute = useCallback(async (request, handler, publicKey) => {
+        try {
+            const result = await runRequest(handler, request, {
+                wallet: publicKey && walletFor(request, publicKey),
+                connection: connectionFor(request),
+                settings,
+            });
+
+            if (handler.connects && publicKey) {
+                setConnections((current) => ({
+                    ...current,
+                    [request.origin]: { ...current[request.origin], [request.namespace]: publicKey },
+                }));
+            }
+            if (request.method === "disconnect") {
+                setConnections((current) => ({
+                    ...current,
+                    [request.origin]: { ...current[request.origin], [request.namespace]: undefined },
+                }));
+            }
+            finish(request, { result });
+        } catch (error) {
+            console.error(`Error handling ${request.method}:`, error);
+            finish(request, toErrorMessage(error));
+        }
+    }, [settings, walletFor, connectionFor, finish]);
+
+    const head = queue[0];
+    let pending = null;
+
+    if (head && unlocked) {
+        try {
+            const handler = getHandler(head);
+            const connection = connectionFor(head);
+            authorize(handler, head, connection);
+            pending = { ...head, handler, approval: needsApproval(handler, head, connection) };
+        } catch (error) {
+            pending = { ...head, failure: error };
+        }
+    }
+
+    // Requests that need no approval, or cannot be served at all, are
+    // answered as soon as they reach the head of the queue
+    useEffect(() => {
+        if (!pending || pending.approval || started.current.has(pending.key)) {
+            return;
+        }
+        started.current.add(pending.key);
+
+        if (pending.failure) {
+            finish(pending, toErrorMessage(pending.failure));
+        } else {
+            execute(pending, pending.handler, connectionFor(pending));
+        }
+    }, [pending, execute, finish, connectionFor]);
+
+    const approve = async (publicKey) => {
+        setBusy(true);
+        try {
+            await execute(pending, pending.handler, publicKey ?? connectionFor(pending));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const reject = () => {
+        finish(pending, toErrorMessage(providerError(ERROR_CODES.REJECTED, "The user rejected the request")));
+    };
+
+    return {
+        request: pending?.approval ? pending : null,
+        account: pending?.approval && connectionFor(pending),
+        busy,
+        approve,
+        reject,
+    };
+};
+
+export default useDappBridge;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from "react";
+import { getChain } from "../lib/chains";
+import { getIndexerUrl, getRpcUrl } from "../lib/networks";
+import { describeRpcError } from "../lib/balances";
+import { loadCache, saveCache } from "../lib/vault";
+import { HISTORY_PAGE_SIZE, appendOlder, historyKey, mergeLatest, toStoredItem } from "../lib/history";
+
+const HISTORY_CACHE = "history";
+
+// Only fetched pages are cached, not loading or error flags
+const toCache = (history) => Object.fromEntries(
+    Object.entries(history)
+        .filter(([, entry]) => entry.items)
+        .map(([key, { items, cursor, fetchedAt }]) => [key, { items, cursor, fetchedAt }])
+);
+
+// Transaction history keyed by historyKey. Entries look like
+// { loading, error, items, cursor, fetchedAt }; `history` stays null until
+// the encrypted cache has been read for the current session.
+const useHistory = (session, settings) => {
+    const [history, setHistory] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        setHistory(null);
+        if (session) {
+            loadCache(session, HISTORY_CACHE).then((cached) => {
+                if (!cancelled) {
+                    setHistory(cached ?? {});
+                }
+            });
+        }
+        return () => {
+            cancelled = true;
+        };
+    }, [session]);
+
+    useEffect(() => {
+        if (session && history) {
+            saveCache(session, HISTORY_CACHE, toCache(history)).catch((error) => {
+                console.error("Error saving history cache:", error);
+            });
+        }
+    }, [session, history]);
+
+    // A null cursor refreshes the newest page; otherwise the page before
+    // the cursor is appended
+    const load = useCallback(async (wallet, cursor = null) => {
+        const chain = getChain(wallet.chain);
+        const key = historyKey(settings, wallet);
+        const update = (change) => setHistory((current) => current && {
+            ...current,
+            [key]: change(current[key]),
+        });
+
+        update((entry) => ({ ...entry, loading: true, error: undefined }));
+        try {
+            const page = await chain.getHistory(getRpcUrl(settings, chain.id), wallet.publicKey, {
+                cursor,
+                limit: HISTORY_PAGE_SIZE,
+                indexerUrl: getIndexerUrl(settings, chain.id),
+            });
+            const storedPage = { ...page, items: page.items.map(toStoredItem) };
+            update((entry) => (cursor === null ? mergeLatest(entry, storedPage) : appendOlder(entry, storedPage)));
+        } catch (error) {
+            console.error(`Error fetching ${chain.name} history:`, error);
+            update((entry) => ({ ...entry, loading: false, error: describeRpcError(error) }));
+        }
+    }, [settings]);
+
+    return { history, load };
+};
+
+export default useHistory;
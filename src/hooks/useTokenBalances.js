@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from "react";
+import { getChain } from "../lib/chains";
+import { getRpcUrl } from "../lib/networks";
+import { formatAmount, describeRpcError } from "../lib/balances";
+import { findToken, getTokenList } from "../lib/tokens";
+import { balanceKey, parseBalanceKey } from "./useBalances";
+
+// Balances come back keyed by token address; names come from the local
+// token list, and unknown tokens (held SPL mints nobody configured) fall
+// back to their address
+const describeTokens = (tokens, values) => values.map((value) => {
+    const token = findToken(tokens, value.address);
+    return {
+        address: value.address,
+        symbol: token?.symbol,
+        name: token?.name,
+        decimals: value.decimals,
+        amount: formatAmount(value.amount, value.decimals),
+    };
+});
+
+// Token balances per wallet, one request per wallet since token accounts
+// cannot be batched across owners. Entries look like
+// { loading, tokens: [{ address, symbol, name, decimals, amount }], error }.
+const useTokenBalances = (wallets, settings) => {
+    const [tokenBalances, setTokenBalances] = useState({});
+
+    const refresh = useCallback(async (targets) => {
+        await Promise.all(targets.map(async (target) => {
+            const chain = getChain(target.chain);
+            const key = balanceKey(target);
+            const tokens = getTokenList(settings, chain);
+
+            setTokenBalances((current) => ({
+                ...current,
+                [key]: { tokens: current[key]?.tokens, loading: true },
+            }));
+            try {
+                const values = await chain.getTokenBalances(getRpcUrl(settings, chain.id), target.publicKey, tokens);
+                setTokenBalances((current) => ({ ...current, [key]: { tokens: describeTokens(tokens, values) } }));
+            } catch (error) {
+                console.error(`Error fetching ${chain.name} token balances:`, error);
+                setTokenBalances((current) => ({ ...current, [key]: { error: describeRpcError(error) } }));
+            }
+        }));
+    }, [settings]);
+
+    // Re-fetch whenever the set of wallets, the endpoints or the token
+    // lists change
+    const walletKeys = wallets.map(balanceKey).join(",");
+
+    useEffect(() => {
+        if (walletKeys) {
+            refresh(walletKeys.split(",").map(parseBalanceKey));
+        }
+    }, [walletKeys, refresh]);
+
+    return { tokenBalances, refresh };
+};
+
+export default useTokenBalances;
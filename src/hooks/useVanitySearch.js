@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { toast } from "react-toastify";
+
+const MAX_WORKERS = 8;
+
+const workerCount = () => Math.min(MAX_WORKERS, navigator.hardwareConcurrency || 4);
+
+// Runs a vanity search across a pool of workers. `search` is null when idle,
+// otherwise { attempts, rate } with the rate in attempts per second.
+const useVanitySearch = () => {
+    const [search, setSearch] = useState(null);
+    const workersRef = useRef([]);
+
+    const cancel = useCallback(() => {
+        workersRef.current.forEach((worker) => worker.terminate());
+        workersRef.current = [];
+        setSearch(null);
+    }, []);
+
+    // Never leave workers spinning after the panel goes away
+    useEffect(() => () => workersRef.current.forEach((worker) => worker.terminate()), []);
+
+    // `job` is { chainId, pattern, mode } plus { seed, pathTemplate,
+    // startIndex } in "mnemonic" mode; `onMatch` gets { wallet, accountIndex }
+    const start = useCallback((job, onMatch) => {
+        cancel();
+
+        const startedAt = Date.now();
+        const count = workerCount();
+        let attempts = 0;
+        let exhausted = 0;
+
+        const handleMessage = ({ data }) => {
+            attempts += data.attempts;
+            setSearch({ attempts, rate: attempts / Math.max((Date.now() - startedAt) / 1000, 0.001) });
+
+            if (data.type === "match") {
+                cancel();
+                onMatch({ wallet: data.wallet, accountIndex: data.accountIndex });
+            } else if (data.type === "exhausted" && ++exhausted === count) {
+                cancel();
+                onMatch(null);
+            }
+        };
+
+        workersRef.current = Array.from({ length: count }, (_, i) => {
+            const worker = new Worker(new URL("../workers/vanityWorker.js", import.meta.url), { type: "module" });
+            worker.onmessage = handleMessage;
+            worker.onerror = (error) => {
+                console.error("Vanity worker error:", error);
+                toast.error("Vanity search stopped unexpectedly");
+                cancel();
+            };
+            worker.postMessage({ ...job, startIndex: (job.startIndex ?? 0) + i, stride: count });
+            return worker;
+        });
+        setSearch({ attempts: 0, rate: 0 });
+    }, [cancel]);
+
+    return { search, start, cancel };
+};
+
+export default useVanitySearch;
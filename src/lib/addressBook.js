@@ -0,0 +1,33 @@
+import { getChain } from "./chains/index.js";
+
+// Address book entries are { id, chain, address, name, note }, stored
+// vault-wide so every profile can pay the same counterparties
+
+export const createContact = ({ chain, address, name, note = "" }) => ({
+    id: crypto.randomUUID(),
+    chain,
+    address: getChain(chain).normalizeAddress(address),
+    name,
+    note,
+});
+
+export const findContact = (addressBook, chainId, address) =>
+    addressBook.find((contact) => contact.chain === chainId && contact.address === address);
+
+// Case-insensitive match on name, address or note, optionally limited to
+// one chain
+export const searchContacts = (addressBook, query, chainId) => {
+    const needle = query.trim().toLowerCase();
+
+    return addressBook
+        .filter((contact) => !chainId || contact.chain === chainId)
+        .filter((contact) =>
+            [contact.name, contact.address, contact.note].some((field) => field.toLowerCase().includes(needle))
+        )
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const mergeAddressBooks = (current, incoming) => [
+    ...current,
+    ...incoming.filter((contact) => !findContact(current, contact.chain, contact.address)),
+];
@@ -0,0 +1,100 @@
+import { sha256, toUtf8Bytes } from "ethers";
+import { listChains } from "./chains/index.js";
+
+// Air-gapped signing moves transactions between an online and an offline
+// machine as text, typed, pasted or scanned. Payloads look like
+//
+//   <kind>:<chainId>:<signer>:<data>
+//
+// where kind is "unsigned" or "signed", signer is the address expected to
+// sign (empty when unknown) and data is the chain's own encoding. Bare
+// transactions without the envelope are accepted too.
+
+export const PAYLOAD_KINDS = ["unsigned", "signed"];
+
+export const encodePayload = ({ kind, chainId, signer = "", data }) => [kind, chainId, signer, data].join(":");
+
+const decoders = {
+    unsigned: (chain) => chain.decodeUnsigned,
+    signed: (chain) => chain.decodeSigned,
+};
+
+// Returns { chain, signer, data, decoded }, or throws when no chain can
+// read the payload
+export const parsePayload = (text, kind) => {
+    const trimmed = text.trim();
+    const parts = trimmed.split(":");
+
+    // JSON transactions carry colons of their own
+    if (parts.length >= 4 && PAYLOAD_KINDS.includes(parts[0])) {
+        const [payloadKind, chainId, signer] = parts;
+        const data = parts.slice(3).join(":");
+        if (payloadKind !== kind) {
+            throw new Error(`This is a ${payloadKind} transaction`);
+        }
+        const chain = listChains().find((candidate) => candidate.id === chainId && decoders[kind](candidate));
+        if (!chain) {
+            throw new Error(`Unsupported chain ${chainId}`);
+        }
+        return { chain, signer: signer || null, data, decoded: decoders[kind](chain)(data) };
+    }
+
+    for (const chain of listChains().filter((candidate) => decoders[kind](candidate))) {
+        try {
+            return { chain, signer: null, data: trimmed, decoded: decoders[kind](chain)(trimmed) };
+        } catch {
+            // try the next chain
+        }
+    }
+    throw new Error(`Not a recognised ${kind} transaction`);
+};
+
+// Long payloads are split over several QR codes shown in turn. Every
+// frame names the payload by a short hash, so frames of different
+// payloads never mix:
+//
+//   cv/<hash>/<index>-<total>/<chunk>
+
+export const FRAME_LENGTH = 200;
+
+const FRAME_PATTERN = /^cv\/([0-9a-f]{8})\/(\d+)-(\d+)\/(.*)$/s;
+
+const payloadHash = (payload) => sha256(toUtf8Bytes(payload)).slice(2, 10);
+
+export const toFrames = (payload) => {
+    const total = Math.ceil(payload.length / FRAME_LENGTH);
+    if (total <= 1) {
+        return [payload];
+    }
+
+    const hash = payloadHash(payload);
+    return Array.from({ length: total }, (_, i) =>
+        `cv/${hash}/${i + 1}-${total}/${payload.slice(i * FRAME_LENGTH, (i + 1) * FRAME_LENGTH)}`
+    );
+};
+
+export const isFrame = (text) => FRAME_PATTERN.test(text.trim());
+
+// Folds one scanned frame into the progress so far. Progress looks like
+// { hash, chunks, received, total, payload }, with payload set once every
+// frame has arrived. Text that is not a frame is a whole payload.
+export const addFrame = (progress, text) => {
+    const match = text.trim().match(FRAME_PATTERN);
+    if (!match) {
+        return { payload: text.trim() };
+    }
+
+    const [, hash, index, total, chunk] = match;
+    const chunks = progress?.hash === hash ? { ...progress.chunks, [index]: chunk } : { [index]: chunk };
+    const received = Object.keys(chunks).length;
+    const next = { hash, chunks, received, total: Number(total), payload: null };
+
+    if (received < next.total) {
+        return next;
+    }
+    const payload = Array.from({ length: next.total }, (_, i) => chunks[i + 1]).join("");
+    if (payloadHash(payload) !== hash) {
+        throw new Error("The scanned parts do not add up to the expected payload");
+    }
+    return { ...next, payload };
+};
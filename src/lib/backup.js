@@ -0,0 +1,77 @@
+import { sha256, toUtf8Bytes } from "ethers";
+import { decryptWithPassword, encryptWithPassword } from "./vault.js";
+import { migrateState } from "./profiles.js";
+import { mergeAddressBooks } from "./addressBook.js";
+
+// Password-encrypted backup files of the whole vault state. The checksum
+// covers the encrypted payload so a truncated or edited file is reported
+// as such before anyone is asked whether the password is wrong.
+
+const BACKUP_FORMAT = "crypto-vault-backup";
+const BACKUP_SCHEMA_VERSION = 1;
+
+const checksumOf = ({ kdf, cipher, ciphertext }) =>
+    sha256(toUtf8Bytes(JSON.stringify({ kdf, cipher, ciphertext })));
+
+export const createBackup = async (state, password) => {
+    const payload = await encryptWithPassword(password, state);
+
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        ...payload,
+        checksum: checksumOf(payload),
+    };
+};
+
+export const readBackup = async (text, password) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch {
+        throw new Error("Backup file is not valid JSON");
+    }
+
+    if (backup?.format !== BACKUP_FORMAT) {
+        throw new Error("Not a Crypto Vault backup file");
+    }
+    if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`Backup was made by a newer version (schema ${backup.schemaVersion})`);
+    }
+    if (!backup.kdf || !backup.cipher || !backup.ciphertext || backup.checksum !== checksumOf(backup)) {
+        throw new Error("Backup file is corrupted");
+    }
+
+    return migrateState(await decryptWithPassword(password, backup));
+};
+
+const walletKey = (wallet) => `${wallet.chain}:${wallet.publicKey}`;
+
+// A different passphrase on the same phrase is a different set of wallets
+const seedKey = (profile) => `${profile.mnemonic.join(" ")}\n${profile.passphrase}`;
+
+// Profiles holding the same recovery phrase and passphrase are combined,
+// keeping the current name and adding only wallets not already present;
+// every other backed-up profile is added alongside the current ones. Address
+// book entries are added unless the address is already saved.
+export const mergeStates = (current, incoming) => {
+    const profiles = current.profiles.map((profile) => ({ ...profile }));
+
+    incoming.profiles.forEach((incomingProfile) => {
+        const match = incomingProfile.mnemonic.length > 0
+            && profiles.find((profile) => seedKey(profile) === seedKey(incomingProfile));
+
+        if (match) {
+            const known = new Set(match.wallets.map(walletKey));
+            match.wallets = [
+                ...match.wallets,
+                ...incomingProfile.wallets.filter((wallet) => !known.has(walletKey(wallet))),
+            ];
+        } else {
+            profiles.push({ ...incomingProfile, id: crypto.randomUUID() });
+        }
+    });
+
+    return { ...current, profiles, addressBook: mergeAddressBooks(current.addressBook, incoming.addressBook) };
+};
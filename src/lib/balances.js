@@ -0,0 +1,27 @@
+import { formatUnits } from "ethers";
+
+// Trim to a readable number of decimals without rounding up dust to a
+// misleading value
+const DISPLAY_DECIMALS = 6;
+
+export const formatAmount = (value, decimals) => {
+    const [whole, fraction = ""] = formatUnits(value, decimals).split(".");
+    const trimmed = fraction.slice(0, DISPLAY_DECIMALS).replace(/0+$/, "");
+
+    return `${whole}${trimmed ? `.${trimmed}` : ""}`;
+};
+
+export const formatBalance = (chain, value) => `${formatAmount(value, chain.decimals)} ${chain.symbol}`;
+
+// Turn the many shapes of provider errors into something worth showing
+export const describeRpcError = (error) => {
+    const message = String(error?.message ?? error);
+
+    if (/429|too many requests|rate limit/i.test(message)) {
+        return "Rate limited by the RPC endpoint, try again shortly";
+    }
+    if (/failed to fetch|network|ECONNREFUSED|timeout/i.test(message)) {
+        return "Could not reach the RPC endpoint";
+    }
+    return message;
+};
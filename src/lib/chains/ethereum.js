@@ -0,0 +1,387 @@
+import { ethers } from "ethers";
+import { expandPathTemplate } from "../paths.js";
+
+const providers = new Map();
+
+const ERC20_ABI = [
+    "function balanceOf(address owner) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function name() view returns (string)",
+];
+
+// Blocks read per page when scanning a node without an indexer
+const BLOCK_SCAN_WINDOW = 200;
+const BLOCK_SCAN_BATCH = 20;
+
+// Etherscan-compatible account API, as served by Blockscout
+const fetchIndexedHistory = async (indexerUrl, address, page, limit) => {
+    const url = new URL(indexerUrl);
+    Object.entries({ module: "account", action: "txlist", address, sort: "desc", page, offset: limit })
+        .forEach(([name, value]) => url.searchParams.set(name, value));
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Indexer responded with HTTP ${response.status}`);
+    }
+    // An address without transactions comes back as status "0" with an
+    // empty result, so only a non-array result is an error
+    const { result, message } = await response.json();
+    if (!Array.isArray(result)) {
+        throw new Error(typeof result === "string" ? result : message);
+    }
+
+    const items = result.map((tx) => {
+        const from = ethers.getAddress(tx.from);
+        const to = tx.to ? ethers.getAddress(tx.to) : tx.contractAddress && ethers.getAddress(tx.contractAddress);
+        const outgoing = from === address;
+
+        return {
+            id: tx.hash,
+            direction: outgoing && to === address ? "other" : outgoing ? "out" : "in",
+            amount: BigInt(tx.value),
+            counterparty: (outgoing ? to : from) || null,
+            fee: outgoing ? BigInt(tx.gasUsed) * BigInt(tx.gasPrice) : 0n,
+            status: tx.isError === "1" ? "failed" : "confirmed",
+            timestamp: Number(tx.timeStamp) * 1000,
+        };
+    });
+
+    return { items, cursor: result.length === limit ? page + 1 : null };
+};
+
+// Without an indexer the only option is to walk blocks backwards. This
+// sees top-level transactions only, which is enough for a local anvil
+// node or fork; internal transfers need an indexer.
+const scanHistory = async (rpcUrl, address, fromBlock, limit) => {
+    const provider = getProvider(rpcUrl);
+    const start = fromBlock ?? await provider.getBlockNumber();
+    const end = Math.max(start - BLOCK_SCAN_WINDOW, -1);
+
+    const matches = [];
+    let next = start;
+    while (next > end && matches.length < limit) {
+        const numbers = [];
+        for (let n = next; n > Math.max(next - BLOCK_SCAN_BATCH, end); n--) {
+            numbers.push(n);
+        }
+        const blocks = await Promise.all(numbers.map((n) => provider.getBlock(n, true)));
+        blocks.forEach((block) => {
+            block.prefetchedTransactions
+                .filter((tx) => tx.from === address || tx.to === address)
+                .reverse()
+                .forEach((tx) => matches.push({ tx, timestamp: block.timestamp * 1000 }));
+        });
+        next -= numbers.length;
+    }
+
+    const items = await Promise.all(matches.map(async ({ tx, timestamp }) => {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        const outgoing = tx.from === address;
+        const to = tx.to ?? receipt.contractAddress;
+
+        return {
+            id: tx.hash,
+            direction: outgoing && to === address ? "other" : outgoing ? "out" : "in",
+            amount: tx.value,
+            counterparty: outgoing ? to : tx.from,
+            fee: outgoing ? receipt.fee : 0n,
+            status: receipt.status === 1 ? "confirmed" : "failed",
+            timestamp,
+        };
+    }));
+
+    return { items, cursor: next >= 0 ? next : null };
+};
+
+const describeTransaction = (transaction) => [
+    { label: "Type", value: transaction.type === 2 ? "EIP-1559" : `Type ${transaction.type}` },
+    { label: "Chain ID", value: transaction.chainId.toString() },
+    { label: "To", value: transaction.to ?? "New contract" },
+    { label: "Value", value: `${ethers.formatEther(transaction.value)} ETH` },
+    { label: "Nonce", value: transaction.nonce.toString() },
+    { label: "Gas limit", value: transaction.gasLimit.toString() },
+    ...(transaction.maxFeePerGas === null ? [
+        { label: "Gas price", value: `${ethers.formatUnits(transaction.gasPrice ?? 0n, "gwei")} gwei` },
+    ] : [
+        { label: "Max fee per gas", value: `${ethers.formatUnits(transaction.maxFeePerGas, "gwei")} gwei` },
+        { label: "Max priority fee", value: `${ethers.formatUnits(transaction.maxPriorityFeePerGas ?? 0n, "gwei")} gwei` },
+    ]),
+    { label: "Max network fee", value: `${ethers.formatEther(transaction.gasLimit * (transaction.maxFeePerGas ?? transaction.gasPrice ?? 0n))} ETH` },
+    ...(transaction.data !== "0x" ? [{ label: "Data", value: transaction.data }] : []),
+];
+
+// Unsigned payloads are serialized unsigned transactions in hex, or a
+// JSON transaction request in ethers or JSON-RPC field names
+const parseUnsignedTransaction = (data) => {
+    const text = data.trim();
+    let transaction;
+    let from = null;
+
+    if (text.startsWith("{")) {
+        const { from: sender, gas, ...fields } = JSON.parse(text);
+        transaction = ethers.Transaction.from({ gasLimit: gas, ...fields });
+        from = sender ? ethers.getAddress(sender) : null;
+    } else {
+        transaction = ethers.Transaction.from(text);
+    }
+    if (transaction.signature) {
+        throw new Error("The transaction is already signed");
+    }
+    return { transaction, from };
+};
+
+// The chain id never changes behind one URL, so skip re-detecting it on
+// every request
+const getProvider = (rpcUrl) => {
+    if (!providers.has(rpcUrl)) {
+        providers.set(rpcUrl, new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true }));
+    }
+    return providers.get(rpcUrl);
+};
+
+const ethereum = {
+    id: "60",
+    name: "Ethereum",
+    icon: "Ξ",
+    symbol: "ETH",
+    decimals: 18,
+    textClass: "text-blue-400",
+    buttonClass: "from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 hover:shadow-indigo-900/30",
+
+    hardenedOnly: false,
+    pathPresets: [
+        { name: "MetaMask / BIP44", template: "m/44'/60'/0'/0/n" },
+        { name: "Ledger Live", template: "m/44'/60'/n'/0/0" },
+        { name: "Ledger legacy / MEW", template: "m/44'/60'/0'/n" },
+    ],
+
+    deriveWallet: (seed, accountIndex, template = ethereum.pathPresets[0].template) => {
+        const path = expandPathTemplate(template, accountIndex);
+        const wallet = ethers.HDNodeWallet.fromSeed(seed).derivePath(path);
+
+        return {
+            path,
+            derivation: "bip32",
+            publicKey: wallet.address,
+            privateKey: wallet.privateKey,
+        };
+    },
+
+    networks: {
+        mainnet: {
+            name: "Mainnet",
+            rpcUrl: "https://ethereum-rpc.publicnode.com",
+            chainId: 1,
+            indexerUrl: "https://eth.blockscout.com/api",
+        },
+        devnet: {
+            name: "Sepolia",
+            rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+            chainId: 11155111,
+            indexerUrl: "https://eth-sepolia.blockscout.com/api",
+        },
+        localhost: { name: "Localhost (anvil)", rpcUrl: "http://127.0.0.1:8545", chainId: 31337 },
+    },
+
+    // An account counts as used once it holds ether or has sent a transaction
+    hasActivity: async (rpcUrl, address) => {
+        const provider = getProvider(rpcUrl);
+        const [balance, nonce] = await Promise.all([
+            provider.getBalance(address),
+            provider.getTransactionCount(address),
+        ]);
+
+        return balance > 0n || nonce > 0;
+    },
+
+    // Calls made in the same tick go out as one JSON-RPC batch
+    getBalances: (rpcUrl, addresses) => {
+        const provider = getProvider(rpcUrl);
+        return Promise.all(addresses.map((address) => provider.getBalance(address)));
+    },
+
+    tokens: {
+        mainnet: [
+            { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", symbol: "USDC", name: "USD Coin", decimals: 6 },
+            { address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", symbol: "USDT", name: "Tether USD", decimals: 6 },
+            { address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", symbol: "DAI", name: "Dai Stablecoin", decimals: 18 },
+        ],
+        devnet: [
+            { address: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", symbol: "USDC", name: "USD Coin (Sepolia)", decimals: 6 },
+        ],
+    },
+
+    // ERC-20 holdings cannot be listed without an indexer, so only the
+    // configured contracts are queried
+    getTokenBalances: async (rpcUrl, owner, tokens) => {
+        const provider = getProvider(rpcUrl);
+
+        return Promise.all(tokens.map(async (token) => {
+            const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
+            const [amount, decimals] = await Promise.all([
+                contract.balanceOf(owner),
+                token.decimals ?? contract.decimals(),
+            ]);
+            return { address: token.address, amount, decimals: Number(decimals) };
+        }));
+    },
+
+    // Cursors are indexer page numbers or, when scanning, the next block
+    getHistory: async (rpcUrl, address, { cursor, limit, indexerUrl }) => (indexerUrl
+        ? fetchIndexedHistory(indexerUrl, address, cursor ?? 1, limit)
+        : scanHistory(rpcUrl, address, cursor, limit)),
+
+    getTokenMetadata: async (rpcUrl, address) => {
+        const contract = new ethers.Contract(address, ERC20_ABI, getProvider(rpcUrl));
+        const [symbol, name, decimals] = await Promise.all([contract.symbol(), contract.name(), contract.decimals()]);
+
+        return { symbol, name, decimals: Number(decimals) };
+    },
+
+    // Letter case carries the EIP-55 checksum, so addresses are matched
+    // against the lowercase alphabet and case-sensitive matches cost twice
+    // as much per letter
+    addressPrefix: "0x",
+    addressAlphabet: "0123456789abcdef",
+
+    randomWallet: () => {
+        const wallet = new ethers.Wallet(ethers.hexlify(ethers.randomBytes(32)));
+        return { publicKey: wallet.address, privateKey: wallet.privateKey };
+    },
+
+    // Accepts all-lowercase input; mixed case must carry a valid checksum
+    isValidAddress: (address) => ethers.isAddress(address),
+
+    normalizeAddress: (address) => ethers.getAddress(address),
+
+    // EIP-681; custom networks have no known chain id, so none is given
+    paymentUri: (address, { amount, network } = {}) => {
+        const chainId = ethereum.networks[network]?.chainId;
+        return `ethereum:${address}${chainId ? `@${chainId}` : ""}${amount ? `?value=${amount}` : ""}`;
+    },
+
+    prepareTransfer: async (rpcUrl, wallet, to, amount) => {
+        const signer = new ethers.Wallet(wallet.privateKey, getProvider(rpcUrl));
+        // Fills in nonce, gas limit, EIP-1559 fees and chain id
+        const transaction = await signer.populateTransaction({ to, value: amount });
+        const serialized = await signer.signTransaction(transaction);
+
+        return {
+            id: ethers.keccak256(serialized),
+            fee: transaction.gasLimit * (transaction.maxFeePerGas ?? transaction.gasPrice),
+            serialized,
+        };
+    },
+
+    broadcastTransfer: async (rpcUrl, transfer) => {
+        const response = await getProvider(rpcUrl).broadcastTransaction(transfer.serialized);
+        return response.hash;
+    },
+
+    getChainId: async (rpcUrl) => (await getProvider(rpcUrl).getNetwork()).chainId,
+
+    // Dapp transactions; the signer fills in whatever the request leaves out
+    sendTransaction: async (rpcUrl, wallet, request) => {
+        const signer = new ethers.Wallet(wallet.privateKey, getProvider(rpcUrl));
+        const response = await signer.sendTransaction(request);
+        return response.hash;
+    },
+
+    prepareUnsigned: async (rpcUrl, from, to, amount) => {
+        // Only the address is needed to fill in nonce, gas and fees
+        const fields = await new ethers.VoidSigner(from, getProvider(rpcUrl))
+            .populateTransaction({ to, value: amount });
+        // Transaction.from only accepts a sender on signed transactions
+        delete fields.from;
+        return ethers.Transaction.from(fields).unsignedSerialized;
+    },
+
+    decodeUnsigned: (data) => {
+        const { transaction, from } = parseUnsignedTransaction(data);
+        return { signers: from ? [from] : [], rows: describeTransaction(transaction) };
+    },
+
+    signUnsigned: async (wallet, data) => {
+        const transaction = parseUnsignedTransaction(data).transaction.clone();
+        transaction.signature = new ethers.Wallet(wallet.privateKey).signingKey.sign(transaction.unsignedHash);
+        return transaction.serialized;
+    },
+
+    decodeSigned: (data) => {
+        const transaction = ethers.Transaction.from(data.trim());
+        if (!transaction.signature) {
+            throw new Error("The transaction is not signed");
+        }
+
+        return {
+            id: transaction.hash,
+            rows: [{ label: "From", value: transaction.from }, ...describeTransaction(transaction)],
+            transfer: { id: transaction.hash, serialized: transaction.serialized },
+        };
+    },
+
+    getTransferStatus: async (rpcUrl, transfer) => {
+        const receipt = await getProvider(rpcUrl).getTransactionReceipt(transfer.id);
+
+        if (!receipt) {
+            return "pending";
+        }
+        return receipt.status === 1 ? "confirmed" : "failed";
+    },
+
+    keyFileFormat: { name: "Web3 Secret Storage (V3 keystore)", needsPassword: true },
+
+    // Accepts a V3 keystore JSON or a raw hex private key
+    importKey: async (input, password) => {
+        const trimmed = input.trim();
+
+        if (ethers.isKeystoreJson(trimmed)) {
+            const account = await ethers.decryptKeystoreJson(trimmed, password);
+            return { publicKey: account.address, privateKey: account.privateKey };
+        }
+
+        const wallet = new ethers.Wallet(trimmed.startsWith("0x") ? trimmed : `0x${trimmed}`);
+        return { publicKey: wallet.address, privateKey: wallet.privateKey };
+    },
+
+    // scrypt + AES-128-CTR, named the way geth names keystore files
+    exportKey: async (wallet, password) => {
+        const content = await ethers.encryptKeystoreJson(
+            { address: wallet.publicKey, privateKey: wallet.privateKey },
+            password
+        );
+        const timestamp = new Date().toISOString().replace(/:/g, "-");
+
+        return {
+            filename: `UTC--${timestamp}--${wallet.publicKey.slice(2).toLowerCase()}`,
+            content,
+        };
+    },
+
+    // EIP-191 personal_sign
+    signMessage: (wallet, message) =>
+        new ethers.Wallet(wallet.privateKey).signMessage(message),
+
+    verifyMessage: (address, message, signature) => {
+        try {
+            return ethers.verifyMessage(message, signature) === ethers.getAddress(address);
+        } catch {
+            return false;
+        }
+    },
+
+    // EIP-712
+    signTypedData: (wallet, { domain, types, message }) =>
+        new ethers.Wallet(wallet.privateKey).signTypedData(domain, types, message),
+
+    verifyTypedData: (address, { domain, types, message }, signature) => {
+        try {
+            return ethers.verifyTypedData(domain, types, message, signature) === ethers.getAddress(address);
+        } catch {
+            return false;
+        }
+    },
+};
+
+export default ethereum;
@@ -0,0 +1,8 @@
+import { registerChain } from "./registry.js";
+import solana from "./solana.js";
+import ethereum from "./ethereum.js";
+
+registerChain(solana);
+registerChain(ethereum);
+
+export { registerChain, getChain, listChains } from "./registry.js";
@@ -0,0 +1,68 @@
+// Chains are looked up by their BIP44 coin type ("501", "60", ...). A new
+// chain joins the app by registering an object with:
+//   id            BIP44 coin type, also stored on every wallet record
+//   name, icon    display name and glyph
+//   symbol        native currency ticker, with `decimals` base-unit places
+//   textClass     Tailwind class for the chain's accent colour
+//   buttonClass   Tailwind classes for the chain's gradient buttons
+//   deriveWallet  (seed, accountIndex, pathTemplate?) => { path, derivation, publicKey, privateKey }
+//   pathPresets   [{ name, template }] path templates of known wallets, default first
+//   hardenedOnly  whether every path segment must be hardened
+//   networks      { mainnet, devnet, localhost } as { name, rpcUrl, indexerUrl?, chainId? }
+//   hasActivity   async (rpcUrl, address) => whether the address was ever used
+//   getBalances   async (rpcUrl, addresses) => native balances in base units (bigint)
+//   tokens        { [network]: [{ address, symbol, name, decimals }] } well-known tokens
+//   getTokenBalances      async (rpcUrl, owner, tokens) => [{ address, amount, decimals }]
+//                         for the configured `tokens`, or every token the owner holds
+//                         where the chain can list them
+//   getHistory            async (rpcUrl, address, { cursor, limit, indexerUrl }) =>
+//                         { items, cursor } newest first, where items look like
+//                         { id, direction: "in" | "out" | "other", amount, counterparty,
+//                         fee, status: "confirmed" | "failed", timestamp }; amounts and
+//                         fees are bigints, and a null cursor means nothing older is left
+//   isValidAddress        (address) => boolean
+//   normalizeAddress      (address) => canonical form of a valid address
+//   paymentUri            (address, { amount, network }) => payment request URI for
+//                         wallet apps, with an optional amount in base units
+//   addressPrefix         fixed leading characters of every address ("0x", "")
+//   addressAlphabet       characters that can follow the prefix
+//   randomWallet          () => { publicKey, privateKey } for a fresh random key
+//   prepareTransfer       async (rpcUrl, wallet, to, amount) => signed transfer
+//                         { id, fee, serialized } with `amount` in base units
+//   broadcastTransfer     async (rpcUrl, transfer) => transaction id
+//   getTransferStatus     async (rpcUrl, transfer) => "pending" | "confirmed" | "failed"
+//   signMessage           async (wallet, bytes) => encoded signature
+//   verifyMessage         (address, bytes, signature) => boolean
+//   importKey             async (input, password) => { publicKey, privateKey }
+//                         from a raw private key or the chain's key file format
+//   exportKey             async (wallet, password) => { filename, content }
+//   keyFileFormat         { name, needsPassword } of the file exportKey writes
+// and optionally:
+//   getTokenMetadata      async (rpcUrl, address) => { symbol, name, decimals }
+// and, for chains with structured signing:
+//   signTypedData         async (wallet, { domain, types, message }) => signature
+//   verifyTypedData       (address, { domain, types, message }, signature) => boolean
+// and, for the dapp connections the chain supports:
+//   getChainId            async (rpcUrl) => chain id (bigint) behind the endpoint
+//   sendTransaction       async (rpcUrl, wallet, request) => hash of the sent transaction
+//   signTransaction       async (wallet, bytes) => the serialized transaction, signed
+//   describeTransaction   (bytes) => [{ label, value }] summary for approval prompts
+// and, for air-gapped signing, where payloads are text:
+//   prepareUnsigned       async (rpcUrl, from, to, amount) => unsigned transfer
+//   decodeUnsigned        (data) => { signers, rows } or throws if `data` is not
+//                         an unsigned transaction of this chain
+//   signUnsigned          async (wallet, data) => signed transaction
+//   decodeSigned          (data) => { id, rows, transfer } where `transfer` can go to
+//                         broadcastTransfer and getTransferStatus
+const chains = new Map();
+
+export const registerChain = (chain) => {
+    if (chains.has(chain.id)) {
+        throw new Error(`Chain ${chain.id} is already registered`);
+    }
+    chains.set(chain.id, chain);
+};
+
+export const getChain = (id) => chains.get(id);
+
+export const listChains = () => [...chains.values()];
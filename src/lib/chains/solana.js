@@ -0,0 +1,429 @@
+import {
+    Connection,
+    Keypair,
+    PublicKey,
+    SystemProgram,
+    Transaction,
+    VersionedMessage,
+    VersionedTransaction,
+} from "@solana/web3.js";
+import { decodeBase64, encodeBase64, formatUnits } from "ethers";
+import bs58 from "bs58";
+import nacl from "tweetnacl";
+import { derivePath } from "../slip10.js";
+import { expandPathTemplate } from "../paths.js";
+
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+// SPL Token and Token-2022
+const TOKEN_PROGRAM_IDS = [
+    "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+    "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb",
+];
+
+const connections = new Map();
+
+const getConnection = (rpcUrl) => {
+    if (!connections.has(rpcUrl)) {
+        connections.set(rpcUrl, new Connection(rpcUrl, "confirmed"));
+    }
+    return connections.get(rpcUrl);
+};
+
+const PROGRAM_NAMES = {
+    "11111111111111111111111111111111": "System Program",
+    "ComputeBudget111111111111111111111111111111": "Compute Budget",
+    [TOKEN_PROGRAM_IDS[0]]: "Token Program",
+    [TOKEN_PROGRAM_IDS[1]]: "Token-2022 Program",
+};
+
+const SYSTEM_TRANSFER = 2;
+
+const describeInstruction = (keys, { programIdIndex, accountKeyIndexes, data }) => {
+    const programId = keys[programIdIndex];
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    if (programId === "11111111111111111111111111111111" && data.length === 12 && view.getUint32(0, true) === SYSTEM_TRANSFER) {
+        const [from, to] = accountKeyIndexes.map((index) => keys[index] ?? "lookup table account");
+        return `Transfer ${formatUnits(view.getBigUint64(4, true), 9)} SOL from ${from} to ${to}`;
+    }
+    return PROGRAM_NAMES[programId] ?? programId;
+};
+
+// Accounts loaded from lookup tables cannot be resolved offline, so only
+// the static keys are named
+const describeMessage = (message) => {
+    const keys = message.staticAccountKeys.map((key) => key.toBase58());
+
+    return [
+        { label: "Fee payer", value: keys[0] },
+        { label: "Recent blockhash", value: message.recentBlockhash },
+        ...message.compiledInstructions.map((instruction, i) => ({
+            label: `Instruction ${i + 1}`,
+            value: describeInstruction(keys, instruction),
+        })),
+    ];
+};
+
+const requiredSigners = (message) => message.staticAccountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .map((key) => key.toBase58());
+
+// Accepts a base64 serialized message, or a whole unsigned transaction
+// since some tools hand those out instead
+const parseUnsignedMessage = (data) => {
+    const bytes = decodeBase64(data.trim());
+    try {
+        const message = VersionedMessage.deserialize(bytes);
+        if (encodeBase64(message.serialize()) === encodeBase64(bytes)) {
+            return message;
+        }
+    } catch {
+        // not a bare message
+    }
+    return VersionedTransaction.deserialize(bytes).message;
+};
+
+const transferCounterparty = (address, message) => {
+    const transfer = message.instructions.find(({ program, parsed }) =>
+        program === "system"
+        && parsed?.type === "transfer"
+        && (parsed.info.source === address || parsed.info.destination === address)
+    );
+    if (!transfer) {
+        return null;
+    }
+    const { source, destination } = transfer.parsed.info;
+    return source === address ? destination : source;
+};
+
+// The native balance change tells the direction and amount even for
+// transactions that are not plain transfers. The fee is charged to the
+// first account, so it is added back to get the amount moved.
+const describeTransaction = (address, info, transaction) => {
+    const item = {
+        id: info.signature,
+        status: info.err ? "failed" : "confirmed",
+        timestamp: info.blockTime ? info.blockTime * 1000 : null,
+        direction: "other",
+        amount: 0n,
+        counterparty: null,
+        fee: 0n,
+    };
+    if (!transaction?.meta) {
+        return item;
+    }
+
+    const { meta, transaction: { message } } = transaction;
+    const index = message.accountKeys.findIndex(({ pubkey }) => pubkey.toBase58() === address);
+    if (index < 0) {
+        return item;
+    }
+
+    const fee = index === 0 ? BigInt(meta.fee) : 0n;
+    const change = BigInt(meta.postBalances[index] - meta.preBalances[index]) + fee;
+
+    return {
+        ...item,
+        direction: change > 0n ? "in" : change < 0n ? "out" : "other",
+        amount: change < 0n ? -change : change,
+        counterparty: transferCounterparty(address, message),
+        fee,
+    };
+};
+
+const solana = {
+    id: "501",
+    name: "Solana",
+    icon: "◎",
+    symbol: "SOL",
+    decimals: 9,
+    textClass: "text-purple-400",
+    buttonClass: "from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 hover:shadow-blue-900/30",
+
+    // Ed25519 (SLIP-0010) cannot derive non-hardened children
+    hardenedOnly: true,
+    pathPresets: [
+        { name: "Phantom / Solflare", template: "m/44'/501'/n'/0'" },
+        { name: "Solana CLI", template: "m/44'/501'/n'" },
+    ],
+
+    deriveWallet: (seed, accountIndex, template = solana.pathPresets[0].template) => {
+        const path = expandPathTemplate(template, accountIndex);
+        const { key: derivedSeed } = derivePath(path, seed);
+        const keyPair = nacl.sign.keyPair.fromSeed(derivedSeed);
+        const solanaKeypair = Keypair.fromSecretKey(keyPair.secretKey);
+
+        return {
+            path,
+            derivation: "slip10",
+            publicKey: solanaKeypair.publicKey.toBase58(),
+            privateKey: bs58.encode(keyPair.secretKey),
+        };
+    },
+
+    networks: {
+        mainnet: { name: "Mainnet Beta", rpcUrl: "https://api.mainnet-beta.solana.com" },
+        devnet: { name: "Devnet", rpcUrl: "https://api.devnet.solana.com" },
+        localhost: { name: "Localhost (solana-test-validator)", rpcUrl: "http://127.0.0.1:8899" },
+    },
+
+    // An account counts as used once it holds lamports or has signed or
+    // received anything
+    hasActivity: async (rpcUrl, address) => {
+        const connection = getConnection(rpcUrl);
+        const publicKey = new PublicKey(address);
+        const [balance, signatures] = await Promise.all([
+            connection.getBalance(publicKey),
+            connection.getSignaturesForAddress(publicKey, { limit: 1 }),
+        ]);
+
+        return balance > 0 || signatures.length > 0;
+    },
+
+    // getMultipleAccounts takes at most 100 keys per request
+    getBalances: async (rpcUrl, addresses) => {
+        const connection = getConnection(rpcUrl);
+        const balances = [];
+
+        for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+            const publicKeys = addresses
+                .slice(i, i + MAX_ACCOUNTS_PER_REQUEST)
+                .map((address) => new PublicKey(address));
+            const accounts = await connection.getMultipleAccountsInfo(publicKeys);
+
+            // Accounts that never received lamports do not exist on chain
+            balances.push(...accounts.map((account) => BigInt(account?.lamports ?? 0)));
+        }
+        return balances;
+    },
+
+    tokens: {
+        mainnet: [
+            { address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", symbol: "USDC", name: "USD Coin", decimals: 6 },
+            { address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", symbol: "USDT", name: "Tether USD", decimals: 6 },
+        ],
+        devnet: [
+            { address: "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU", symbol: "USDC", name: "USD Coin (Devnet)", decimals: 6 },
+        ],
+    },
+
+    // Token accounts are listed per owner, so every held mint shows up
+    // whether or not it is in `tokens`. One owner can hold several
+    // accounts of the same mint; their amounts are added up.
+    getTokenBalances: async (rpcUrl, owner) => {
+        const connection = getConnection(rpcUrl);
+        const responses = await Promise.all(TOKEN_PROGRAM_IDS.map((programId) =>
+            connection.getParsedTokenAccountsByOwner(new PublicKey(owner), { programId: new PublicKey(programId) })
+        ));
+
+        const byMint = new Map();
+        responses.flatMap((response) => response.value).forEach(({ account }) => {
+            const { mint, tokenAmount } = account.data.parsed.info;
+            const previous = byMint.get(mint);
+            byMint.set(mint, {
+                address: mint,
+                amount: (previous?.amount ?? 0n) + BigInt(tokenAmount.amount),
+                decimals: tokenAmount.decimals,
+            });
+        });
+        return [...byMint.values()];
+    },
+
+    getHistory: async (rpcUrl, address, { cursor, limit }) => {
+        const connection = getConnection(rpcUrl);
+        const signatures = await connection.getSignaturesForAddress(new PublicKey(address), {
+            before: cursor ?? undefined,
+            limit,
+        });
+        const transactions = await connection.getParsedTransactions(
+            signatures.map(({ signature }) => signature),
+            { maxSupportedTransactionVersion: 0 }
+        );
+
+        return {
+            items: signatures.map((info, i) => describeTransaction(address, info, transactions[i])),
+            cursor: signatures.length === limit ? signatures.at(-1).signature : null,
+        };
+    },
+
+    addressPrefix: "",
+    addressAlphabet: "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz",
+
+    // web3.js generates keys with @noble/curves, an order of magnitude
+    // faster than tweetnacl for vanity searches
+    randomWallet: () => {
+        const keypair = Keypair.generate();
+        return {
+            publicKey: keypair.publicKey.toBase58(),
+            privateKey: bs58.encode(keypair.secretKey),
+        };
+    },
+
+    normalizeAddress: (address) => new PublicKey(address).toBase58(),
+
+    // Solana Pay transfer request; the amount is in SOL, without a trailing ".0"
+    paymentUri: (address, { amount } = {}) =>
+        `solana:${address}${amount ? `?amount=${formatUnits(amount, 9).replace(/\.0$/, "")}` : ""}`,
+
+    isValidAddress: (address) => {
+        try {
+            return new PublicKey(address).toBase58() === address;
+        } catch {
+            return false;
+        }
+    },
+
+    prepareTransfer: async (rpcUrl, wallet, to, amount) => {
+        const connection = getConnection(rpcUrl);
+        const keypair = Keypair.fromSecretKey(bs58.decode(wallet.privateKey));
+        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+
+        const transaction = new Transaction({
+            feePayer: keypair.publicKey,
+            blockhash,
+            lastValidBlockHeight,
+        }).add(SystemProgram.transfer({
+            fromPubkey: keypair.publicKey,
+            toPubkey: new PublicKey(to),
+            lamports: amount,
+        }));
+
+        const { value: fee } = await connection.getFeeForMessage(transaction.compileMessage());
+        transaction.sign(keypair);
+
+        return {
+            id: bs58.encode(transaction.signature),
+            fee: BigInt(fee ?? 0),
+            serialized: transaction.serialize(),
+            lastValidBlockHeight,
+        };
+    },
+
+    broadcastTransfer: (rpcUrl, transfer) =>
+        getConnection(rpcUrl).sendRawTransaction(transfer.serialized),
+
+    getTransferStatus: async (rpcUrl, transfer) => {
+        const connection = getConnection(rpcUrl);
+        const { value } = await connection.getSignatureStatus(transfer.id);
+
+        if (value?.err) {
+            return "failed";
+        }
+        if (value?.confirmationStatus === "confirmed" || value?.confirmationStatus === "finalized") {
+            return "confirmed";
+        }
+        if (value) {
+            return "pending";
+        }
+        // A transaction that never landed is dropped once its blockhash
+        // expires. Signed payloads from another device carry only the
+        // blockhash, not the height it is valid until.
+        const expired = transfer.lastValidBlockHeight === undefined
+            ? !(await connection.isBlockhashValid(transfer.blockhash)).value
+            : await connection.getBlockHeight() > transfer.lastValidBlockHeight;
+        return expired ? "failed" : "pending";
+    },
+
+    keyFileFormat: { name: "Solana CLI id.json", needsPassword: false },
+
+    // Accepts a CLI id.json byte array, or a base58 64-byte secret key or
+    // 32-byte seed
+    importKey: async (input) => {
+        const trimmed = input.trim();
+        const bytes = trimmed.startsWith("[")
+            ? Uint8Array.from(JSON.parse(trimmed))
+            : bs58.decode(trimmed);
+
+        let keypair;
+        if (bytes.length === 64) {
+            keypair = Keypair.fromSecretKey(bytes);
+        } else if (bytes.length === 32) {
+            keypair = Keypair.fromSeed(bytes);
+        } else {
+            throw new Error("Solana keys must be 32 or 64 bytes");
+        }
+
+        return {
+            publicKey: keypair.publicKey.toBase58(),
+            privateKey: bs58.encode(keypair.secretKey),
+        };
+    },
+
+    exportKey: async (wallet) => ({
+        filename: "id.json",
+        content: JSON.stringify(Array.from(bs58.decode(wallet.privateKey))),
+    }),
+
+    // Detached Ed25519 signatures over the raw message bytes, base58
+    // encoded, as Phantom's signMessage returns them. There is no off-chain
+    // message header, so these do not verify with `solana verify-offchain-signature`
+    signMessage: async (wallet, message) =>
+        bs58.encode(nacl.sign.detached(message, bs58.decode(wallet.privateKey))),
+
+    // Handles legacy and versioned (v0) transactions alike
+    signTransaction: async (wallet, bytes) => {
+        const transaction = VersionedTransaction.deserialize(bytes);
+        transaction.sign([Keypair.fromSecretKey(bs58.decode(wallet.privateKey))]);
+        return transaction.serialize();
+    },
+
+    describeTransaction: (bytes) => describeMessage(VersionedTransaction.deserialize(bytes).message),
+
+    // Unsigned payloads are base64 messages, as Transaction.serializeMessage()
+    // produces them; signed ones are base64 transactions. The blockhash
+    // expires about a minute after preparation.
+    prepareUnsigned: async (rpcUrl, from, to, amount) => {
+        const { blockhash, lastValidBlockHeight } = await getConnection(rpcUrl).getLatestBlockhash();
+        const transaction = new Transaction({
+            feePayer: new PublicKey(from),
+            blockhash,
+            lastValidBlockHeight,
+        }).add(SystemProgram.transfer({
+            fromPubkey: new PublicKey(from),
+            toPubkey: new PublicKey(to),
+            lamports: amount,
+        }));
+
+        return encodeBase64(transaction.serializeMessage());
+    },
+
+    decodeUnsigned: (data) => {
+        const message = parseUnsignedMessage(data);
+        return { signers: requiredSigners(message), rows: describeMessage(message) };
+    },
+
+    signUnsigned: async (wallet, data) => {
+        const transaction = new VersionedTransaction(parseUnsignedMessage(data));
+        transaction.sign([Keypair.fromSecretKey(bs58.decode(wallet.privateKey))]);
+        return encodeBase64(transaction.serialize());
+    },
+
+    decodeSigned: (data) => {
+        const transaction = VersionedTransaction.deserialize(decodeBase64(data.trim()));
+        if (transaction.signatures.every((signature) => signature.every((byte) => byte === 0))) {
+            throw new Error("The transaction is not signed");
+        }
+        const id = bs58.encode(transaction.signatures[0]);
+
+        return {
+            id,
+            rows: describeMessage(transaction.message),
+            transfer: { id, serialized: transaction.serialize(), blockhash: transaction.message.recentBlockhash },
+        };
+    },
+
+    verifyMessage: (address, message, signature) => {
+        try {
+            return nacl.sign.detached.verify(
+                message,
+                bs58.decode(signature),
+                new PublicKey(address).toBytes()
+            );
+        } catch {
+            return false;
+        }
+    },
+};
+
+export default solana;
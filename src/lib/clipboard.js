@@ -0,0 +1,63 @@
+// Copies that hold secrets are wiped from the system clipboard after a
+// delay, unless something else was copied in the meantime. Only the latest
+// secret is tracked; copying anything through the app cancels the wipe.
+
+let pending = null;
+
+const cancelPending = () => {
+    if (pending) {
+        clearTimeout(pending.timer);
+        window.removeEventListener("focus", pending.retry);
+        pending = null;
+    }
+};
+
+const wipe = async (text) => {
+    try {
+        if (await navigator.clipboard.readText() !== text) {
+            return;
+        }
+    } catch {
+        // Reading needs a permission the browser may not grant; wipe anyway
+    }
+    await navigator.clipboard.writeText("");
+};
+
+const schedule = (text, delayMs) => {
+    const entry = {};
+    const run = () => {
+        wipe(text)
+            .then(() => {
+                if (pending === entry) {
+                    cancelPending();
+                }
+            })
+            .catch(() => {
+                // Browsers refuse clipboard writes while the page is in the
+                // background, so try again when it is focused
+                window.addEventListener("focus", entry.retry, { once: true });
+            });
+    };
+
+    entry.retry = run;
+    entry.timer = setTimeout(run, delayMs);
+    entry.text = text;
+    pending = entry;
+};
+
+export const copyText = async (text, { clearAfterMs = 0 } = {}) => {
+    cancelPending();
+    await navigator.clipboard.writeText(text);
+    if (clearAfterMs > 0) {
+        schedule(text, clearAfterMs);
+    }
+};
+
+// Wipes a pending secret straight away, e.g. when the vault locks
+export const clearPendingSecret = () => {
+    if (pending) {
+        const { text } = pending;
+        cancelPending();
+        wipe(text).catch((error) => console.error("Error clearing clipboard:", error));
+    }
+};
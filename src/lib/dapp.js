@@ -0,0 +1,127 @@
+import { formatEther, getBytes, hexlify, toQuantity, toUtf8String } from "ethers";
+import bs58 from "bs58";
+import { getChain } from "./chains/index.js";
+import { getRpcUrl } from "./networks.js";
+import { ERROR_CODES, providerError } from "../connect/protocol.js";
+
+// Requests from dapp pages connected through src/connect/provider.js. Each
+// namespace maps onto a chain, and each method onto a handler:
+//   connects   the request grants the origin an account
+//   signer     (params) => address the request acts for; it must be the
+//              account the origin was granted
+//   describe   (params) => [{ label, value }] shown in the approval prompt
+//   run        async ({ params, wallet, settings, connection }) => result
+// Only connects and signer requests need approval; the rest answer
+// straight away.
+
+export const NAMESPACES = { eip155: "60", solana: "501" };
+
+// Text when the bytes are printable UTF-8, hex otherwise
+export const describeBytes = (bytes) => {
+    try {
+        const text = toUtf8String(bytes);
+        if (!/[\p{Cc}\p{Cf}]/u.test(text.replace(/[\r\n\t]/g, ""))) {
+            return text;
+        }
+    } catch {
+        // not UTF-8
+    }
+    return hexlify(bytes);
+};
+
+const toTransactionRequest = ({ to, value, data, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas, nonce }) => ({
+    to,
+    value,
+    data,
+    gasLimit: gas,
+    gasPrice,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    nonce: nonce === undefined ? undefined : Number(nonce),
+});
+
+const handlers = {
+    eip155: {
+        eth_accounts: {
+            run: ({ connection }) => (connection ? [connection] : []),
+        },
+        eth_chainId: {
+            run: async ({ settings }) => toQuantity(await getChain("60").getChainId(getRpcUrl(settings, "60"))),
+        },
+        eth_requestAccounts: {
+            connects: true,
+            run: ({ wallet }) => [wallet.publicKey],
+        },
+        personal_sign: {
+            signer: ([, address]) => address,
+            describe: ([message]) => [{ label: "Message", value: describeBytes(getBytes(message)) }],
+            run: ({ params: [message], wallet }) => getChain("60").signMessage(wallet, getBytes(message)),
+        },
+        eth_sendTransaction: {
+            signer: ([transaction]) => transaction.from,
+            describe: ([transaction]) => [
+                { label: "To", value: transaction.to ?? "New contract" },
+                { label: "Value", value: `${formatEther(transaction.value ?? 0)} ETH` },
+                ...(transaction.data && transaction.data !== "0x" ? [{ label: "Data", value: transaction.data }] : []),
+                ...(transaction.gas ? [{ label: "Gas limit", value: BigInt(transaction.gas).toString() }] : []),
+            ],
+            run: ({ params: [transaction], wallet, settings }) =>
+                getChain("60").sendTransaction(getRpcUrl(settings, "60"), wallet, toTransactionRequest(transaction)),
+        },
+    },
+    solana: {
+        connect: {
+            connects: true,
+            run: ({ wallet }) => [{ address: wallet.publicKey, publicKey: bs58.decode(wallet.publicKey) }],
+        },
+        disconnect: {
+            run: () => null,
+        },
+        signMessage: {
+            signer: ({ address }) => address,
+            describe: ({ message }) => [{ label: "Message", value: describeBytes(message) }],
+            run: async ({ params: { message }, wallet }) => bs58.decode(await getChain("501").signMessage(wallet, message)),
+        },
+        signTransaction: {
+            signer: ({ address }) => address,
+            describe: ({ transaction }) => getChain("501").describeTransaction(transaction),
+            run: ({ params: { transaction }, wallet }) => getChain("501").signTransaction(wallet, transaction),
+        },
+    },
+};
+
+export const getHandler = ({ namespace, method }) => {
+    const handler = handlers[namespace]?.[method];
+    if (!handler) {
+        throw providerError(ERROR_CODES.UNSUPPORTED, `${method} is not supported`);
+    }
+    return handler;
+};
+
+// Rejects signing requests for anything but the account the origin was
+// granted, before the user is ever asked
+export const authorize = (handler, request, connection) => {
+    if (!handler.signer) {
+        return;
+    }
+    const address = handler.signer(request.params);
+    if (!connection || String(address).toLowerCase() !== connection.toLowerCase()) {
+        throw providerError(ERROR_CODES.UNAUTHORIZED, "The account has not been authorized by the user");
+    }
+};
+
+// Connecting again answers with the granted account, and a silent connect
+// never prompts
+export const needsApproval = (handler, request, connection) => {
+    if (handler.connects) {
+        return !connection && !request.params?.silent;
+    }
+    return Boolean(handler.signer);
+};
+
+export const runRequest = async (handler, request, context) => {
+    if (handler.connects && !context.wallet) {
+        return [];
+    }
+    return handler.run({ params: request.params, ...context });
+};
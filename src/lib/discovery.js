@@ -0,0 +1,37 @@
+// BIP44-style account discovery: derive accounts in batches, ask the chain
+// whether each one was ever used, and stop once `gapLimit` unused accounts
+// in a row have been seen.
+
+export const DEFAULT_GAP_LIMIT = 20;
+const DEFAULT_BATCH_SIZE = 5;
+
+export const discoverAccounts = async ({
+    deriveWallet,
+    hasActivity,
+    gapLimit = DEFAULT_GAP_LIMIT,
+    batchSize = DEFAULT_BATCH_SIZE,
+    onProgress,
+}) => {
+    const usedWallets = [];
+    let gap = 0;
+    let nextIndex = 0;
+
+    while (gap < gapLimit) {
+        const batch = Array.from({ length: batchSize }, (_, i) => deriveWallet(nextIndex + i));
+        const activity = await Promise.all(batch.map(hasActivity));
+        nextIndex += batchSize;
+
+        for (let i = 0; i < batch.length && gap < gapLimit; i++) {
+            if (activity[i]) {
+                usedWallets.push(batch[i]);
+                gap = 0;
+            } else {
+                gap++;
+            }
+        }
+
+        onProgress?.({ scanned: nextIndex, found: usedWallets.length });
+    }
+
+    return usedWallets;
+};
@@ -0,0 +1,63 @@
+import { formatUnits } from "ethers";
+import { getNetworkSettings } from "./networks.js";
+
+// Transaction history per wallet and network, cached between sessions.
+// Amounts and fees are kept as decimal strings so entries survive JSON.
+
+export const HISTORY_PAGE_SIZE = 25;
+
+export const historyKey = (settings, wallet) => {
+    const { network, customRpcUrl } = getNetworkSettings(settings, wallet.chain);
+    return `${wallet.chain}:${network === "custom" ? customRpcUrl : network}:${wallet.publicKey}`;
+};
+
+export const toStoredItem = (item) => ({ ...item, amount: item.amount.toString(), fee: item.fee.toString() });
+
+// A refresh fetches the newest page. When it overlaps the cache only the
+// new items are added on top; when it does not, there may be a gap, so the
+// page replaces the cache and older items are paged in again.
+export const mergeLatest = (cached, page) => {
+    const known = new Set(cached?.items?.map((item) => item.id));
+    if (!cached?.items || !page.items.some((item) => known.has(item.id))) {
+        return { items: page.items, cursor: page.cursor, fetchedAt: Date.now() };
+    }
+
+    return {
+        items: [...page.items.filter((item) => !known.has(item.id)), ...cached.items],
+        cursor: cached.cursor,
+        fetchedAt: Date.now(),
+    };
+};
+
+// Like mergeLatest, builds a fresh entry so no loading or error flag
+// outlives the fetch
+export const appendOlder = (cached, page) => {
+    const known = new Set(cached.items.map((item) => item.id));
+    return {
+        items: [...cached.items, ...page.items.filter((item) => !known.has(item.id))],
+        cursor: page.cursor,
+        fetchedAt: cached.fetchedAt,
+    };
+};
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+};
+
+// Full precision amounts, since the file is meant for accounting
+export const historyToCsv = (chain, items) => {
+    const header = ["Date", "Direction", "Amount", "Currency", "Counterparty", "Fee", "Status", "Transaction"];
+    const rows = items.map((item) => [
+        item.timestamp ? new Date(item.timestamp).toISOString() : "",
+        item.direction,
+        formatUnits(item.amount, chain.decimals),
+        chain.symbol,
+        item.counterparty,
+        formatUnits(item.fee, chain.decimals),
+        item.status,
+        item.id,
+    ]);
+
+    return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n");
+};
@@ -0,0 +1,32 @@
+// The framework-free wallet core shared by the app and the CLI in bin/.
+// Everything exported here runs in browsers and in Node; browser-only
+// helpers such as clipboard.js and download.js are left out.
+
+export { registerChain, getChain, listChains } from "./chains/index.js";
+export { HARDENED_OFFSET, derivePath, isValidPath } from "./slip10.js";
+export { WORD_COUNTS, WORDLISTS, createMnemonic, detectWordlist, normalizeMnemonic } from "./mnemonic.js";
+export { defaultPathTemplate, expandPathTemplate, validatePathTemplate } from "./paths.js";
+export {
+    buildWallet,
+    generateWalletFromMnemonic,
+    isDerivedWallet,
+    isImportedWallet,
+    isLegacyWallet,
+    isWatchOnlyWallet,
+    walletLabel,
+} from "./wallets.js";
+export { STATE_VERSION, createProfile, createState, migrateState } from "./profiles.js";
+export {
+    MIN_PASSWORD_LENGTH,
+    changeVaultPassword,
+    createVault,
+    decryptWithPassword,
+    encryptWithPassword,
+    hasVault,
+    loadCache,
+    saveCache,
+    saveVault,
+    unlockVault,
+    verifyPassword,
+} from "./vault.js";
+export { createMemoryStorage, getStorage, setStorage } from "./storage.js";
@@ -0,0 +1,32 @@
+import { getBytes, toUtf8Bytes } from "ethers";
+
+// Parsing of user-supplied payloads for the sign/verify tool
+
+export const MESSAGE_FORMATS = {
+    text: "Text",
+    hex: "Hex",
+    typed: "EIP-712 typed data",
+};
+
+export const parseMessage = (input, format) => {
+    if (format === "hex") {
+        const hex = input.trim();
+        return getBytes(hex.startsWith("0x") ? hex : `0x${hex}`);
+    }
+    return toUtf8Bytes(input);
+};
+
+// Accepts the eth_signTypedData_v4 JSON shape. ethers derives the domain
+// type itself and rejects it when passed in `types`.
+export const parseTypedData = (input) => {
+    const { domain, types, message } = JSON.parse(input);
+    if (!domain || !types || !message) {
+        throw new Error("Typed data needs domain, types and message");
+    }
+
+    const { EIP712Domain: _domainType, ...messageTypes } = types;
+    return { domain, types: messageTypes, message };
+};
+
+export const supportedFormats = (chain) =>
+    Object.keys(MESSAGE_FORMATS).filter((format) => format !== "typed" || chain.signTypedData);
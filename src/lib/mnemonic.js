@@ -0,0 +1,47 @@
+import { generateMnemonic, validateMnemonic, wordlists } from "bip39";
+
+// BIP39 phrase options. New phrases are always English; imported phrases
+// may use any official wordlist, found by checking which one the words and
+// checksum belong to. The seed only depends on the NFKD-normalised phrase
+// and the optional passphrase, so the wordlist never needs to be stored.
+
+export const WORD_COUNTS = [12, 15, 18, 21, 24];
+
+// Order matters: share files store the position of a phrase's wordlist
+export const WORDLISTS = [
+    { id: "english", name: "English" },
+    { id: "japanese", name: "Japanese" },
+    { id: "korean", name: "Korean" },
+    { id: "spanish", name: "Spanish" },
+    { id: "chinese_simplified", name: "Chinese (Simplified)" },
+    { id: "chinese_traditional", name: "Chinese (Traditional)" },
+    { id: "french", name: "French" },
+    { id: "italian", name: "Italian" },
+    { id: "czech", name: "Czech" },
+    { id: "portuguese", name: "Portuguese" },
+];
+
+// 11 bits per word, of which one in 33 is checksum
+export const createMnemonic = (wordCount = 12) =>
+    generateMnemonic((wordCount / 3) * 32);
+
+// Collapses any whitespace, including the ideographic space Japanese
+// phrases are written with, to single spaces
+export const normalizeMnemonic = (phrase) =>
+    phrase.normalize("NFKD").trim().split(/\s+/).join(" ");
+
+const normalizedWordlists = new Map();
+
+// Words of `id` in the same normal form as normalizeMnemonic output
+export const getWordlist = (id) => {
+    if (!normalizedWordlists.has(id)) {
+        normalizedWordlists.set(id, wordlists[id].map((word) => word.normalize("NFKD")));
+    }
+    return normalizedWordlists.get(id);
+};
+
+// The wordlist whose words and checksum match, or null for an invalid phrase
+export const detectWordlist = (phrase) => {
+    const mnemonic = normalizeMnemonic(phrase);
+    return WORDLISTS.find(({ id }) => validateMnemonic(mnemonic, getWordlist(id))) ?? null;
+};
@@ -0,0 +1,40 @@
+import { getChain } from "./chains/index.js";
+
+// Which RPC endpoint each chain talks to. Settings only record the choice
+// per chain; the endpoints themselves come from the chain registry.
+
+export const NETWORK_IDS = ["mainnet", "devnet", "localhost", "custom"];
+
+const DEFAULT_NETWORK = { network: "mainnet", customRpcUrl: "" };
+
+export const createSettings = () => ({ networks: {}, tokens: {} });
+
+export const getNetworkSettings = (settings, chainId) =>
+    settings?.networks?.[chainId] ?? DEFAULT_NETWORK;
+
+export const updateNetworkSettings = (settings, chainId, changes) => ({
+    ...settings,
+    networks: {
+        ...settings.networks,
+        [chainId]: { ...getNetworkSettings(settings, chainId), ...changes },
+    },
+});
+
+// Only the built-in networks come with an indexer; a custom endpoint may
+// well be a local node the indexer knows nothing about
+export const getIndexerUrl = (settings, chainId) => {
+    const { network } = getNetworkSettings(settings, chainId);
+    return network === "custom" ? null : getChain(chainId).networks[network].indexerUrl ?? null;
+};
+
+export const getRpcUrl = (settings, chainId) => {
+    const { network, customRpcUrl } = getNetworkSettings(settings, chainId);
+
+    if (network === "custom") {
+        if (!customRpcUrl) {
+            throw new Error(`No custom RPC URL set for ${getChain(chainId).name}`);
+        }
+        return customRpcUrl;
+    }
+    return getChain(chainId).networks[network].rpcUrl;
+};
@@ -0,0 +1,47 @@
+import { HARDENED_OFFSET } from "./slip10.js";
+
+// Derivation path templates are BIP32 paths with the account index replaced
+// by "n", e.g. m/44'/501'/n'/0' for Phantom or m/44'/60'/n'/0/0 for Ledger
+// Live. Each chain lists its presets and the first one is the default.
+
+const SEGMENT_PATTERN = /^(\d+|n)('?)$/;
+
+// Returns a description of what is wrong with `template`, or null when it
+// can be expanded for `chain`
+export const validatePathTemplate = (chain, template) => {
+    const [root, ...segments] = template.trim().split("/");
+
+    if (root !== "m" || segments.length === 0) {
+        return "Paths start with m/ and have at least one segment";
+    }
+
+    const parsed = segments.map((segment) => segment.match(SEGMENT_PATTERN));
+    const invalidIndex = parsed.findIndex((match) => !match);
+    if (invalidIndex !== -1) {
+        return `"${segments[invalidIndex]}" is not a number, n, or a hardened segment`;
+    }
+
+    if (parsed.filter(([, index]) => index === "n").length !== 1) {
+        return "Use n exactly once for the account index";
+    }
+    if (parsed.some(([, index]) => index !== "n" && Number(index) >= HARDENED_OFFSET)) {
+        return `Segments must be below ${HARDENED_OFFSET}`;
+    }
+    if (chain.hardenedOnly && parsed.some(([, , hardened]) => !hardened)) {
+        return `${chain.name} keys only support hardened segments (ending in ')`;
+    }
+
+    return null;
+};
+
+export const expandPathTemplate = (template, accountIndex) =>
+    template.trim().replace(/\bn\b/, String(accountIndex));
+
+export const defaultPathTemplate = (chain) => chain.pathPresets[0].template;
+
+// The template a profile derives new wallets on `chain` with
+export const getPathTemplate = (profile, chain) =>
+    profile?.pathTemplates?.[chain.id] ?? defaultPathTemplate(chain);
+
+export const describePathTemplate = (chain, template) =>
+    chain.pathPresets.find((preset) => preset.template === template)?.name ?? "Custom";
@@ -0,0 +1,36 @@
+import { detectWordlist, getWordlist } from "./mnemonic.js";
+
+// A backup check asks for the words at a few random positions of the
+// phrase, each picked from a shuffled set of choices
+
+const randomIndex = (length) =>
+    Math.floor((crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32) * length);
+
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomIndex(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// Returns [{ position, choices }] sorted by position. Decoys come from the
+// phrase's own wordlist so they look no different from the answer.
+export const createPhraseCheck = (words, questionCount = 3, choiceCount = 6) => {
+    const wordlist = getWordlist((detectWordlist(words.join(" ")) ?? { id: "english" }).id);
+    const positions = shuffle(words.map((_, position) => position))
+        .slice(0, questionCount)
+        .sort((a, b) => a - b);
+
+    return positions.map((position) => {
+        const decoys = new Set();
+        while (decoys.size < choiceCount - 1) {
+            const word = wordlist[randomIndex(wordlist.length)];
+            if (word !== words[position]) {
+                decoys.add(word);
+            }
+        }
+        return { position, choices: shuffle([words[position], ...decoys]) };
+    });
+};
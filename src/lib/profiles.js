@@ -0,0 +1,166 @@
+import { createSettings } from "./networks.js";
+
+// Vault state is a list of named profiles, each with its own recovery
+// phrase and optional BIP39 passphrase, whether the user has proven they
+// wrote the phrase down, derived wallets and the path template it derives
+// new wallets with per chain. Every wallet keeps the account index and
+// template it was derived with:
+//
+//   { version, activeProfileId, profiles: [{ id, name, mnemonic, passphrase, backedUp, wallets, pathTemplates }], settings, addressBook, auditLog }
+//
+// The address book of saved counterparties and the audit log of secret
+// reveals and copies (see security.js) are shared by every profile.
+//
+// Every shape the app has ever stored is upgraded through `migrateState`.
+
+export const STATE_VERSION = 10;
+
+export const createProfile = (name) => ({
+    id: crypto.randomUUID(),
+    name,
+    mnemonic: [],
+    passphrase: "",
+    backedUp: true,
+    wallets: [],
+    pathTemplates: {},
+});
+
+export const createState = () => {
+    const profile = createProfile("Default");
+    return {
+        version: STATE_VERSION,
+        activeProfileId: profile.id,
+        profiles: [profile],
+        settings: createSettings(),
+        addressBook: [],
+        auditLog: [],
+    };
+};
+
+// Version 1 is the single-phrase `{ wallets, mnemonics, paths }` shape, both
+// as the first vault payload and as the old plaintext localStorage keys
+const migrateV1 = (state) => {
+    const profile = {
+        ...createProfile("Default"),
+        mnemonic: state.mnemonics || [],
+        // Wallets saved while the whole vault was tied to one chain take
+        // their chain from the vault-wide path type
+        wallets: (state.wallets || []).map((wallet) => ({
+            chain: state.paths?.[0],
+            ...wallet,
+        })),
+    };
+
+    return { version: 2, activeProfileId: profile.id, profiles: [profile] };
+};
+
+// Phantom-style Solana paths keep the account in the third segment
+// (m/44'/501'/n'/0'), every other layout we have stored ends with it
+const accountIndexFromPath = (wallet) => {
+    const segments = wallet.path.split("/").map((segment) => parseInt(segment, 10));
+    return wallet.derivation === "slip10" ? segments[3] : segments[segments.length - 1];
+};
+
+// Version 2 wallets were numbered by their position in the list, so each
+// one now records the account index it was derived at
+const migrateV2 = (state) => ({
+    ...state,
+    version: 3,
+    profiles: state.profiles.map((profile) => ({
+        ...profile,
+        wallets: profile.wallets.map((wallet) => ({
+            accountIndex: accountIndexFromPath(wallet),
+            ...wallet,
+        })),
+    })),
+});
+
+// Version 4 adds vault-wide settings such as the RPC endpoint per chain
+const migrateV3 = (state) => ({
+    ...state,
+    version: 4,
+    settings: createSettings(),
+});
+
+// Until version 5 every derived wallet used the one fixed layout of its
+// derivation scheme
+const TEMPLATES_BY_DERIVATION = {
+    slip10: "m/44'/501'/n'/0'",
+    bip32: "m/44'/60'/0'/0/n",
+};
+
+// Version 5 makes derivation paths configurable per profile
+const migrateV4 = (state) => ({
+    ...state,
+    version: 5,
+    profiles: state.profiles.map((profile) => ({
+        pathTemplates: {},
+        ...profile,
+        wallets: profile.wallets.map((wallet) =>
+            TEMPLATES_BY_DERIVATION[wallet.derivation]
+                ? { pathTemplate: TEMPLATES_BY_DERIVATION[wallet.derivation], ...wallet }
+                : wallet
+        ),
+    })),
+});
+
+// Version 6 seeds can be protected with a BIP39 passphrase
+const migrateV5 = (state) => ({
+    ...state,
+    version: 6,
+    profiles: state.profiles.map((profile) => ({ passphrase: "", ...profile })),
+});
+
+// Version 7 flags freshly generated phrases until their backup is checked;
+// phrases stored before then are trusted to be written down already
+const migrateV6 = (state) => ({
+    ...state,
+    version: 7,
+    profiles: state.profiles.map((profile) => ({ backedUp: true, ...profile })),
+});
+
+// Version 8 adds the vault-wide address book
+const migrateV7 = (state) => ({
+    ...state,
+    version: 8,
+    addressBook: [],
+});
+
+// Version 9 settings hold user-added tokens per chain and network
+const migrateV8 = (state) => ({
+    ...state,
+    version: 9,
+    settings: { tokens: {}, ...state.settings },
+});
+
+// Version 10 starts the audit log
+const migrateV9 = (state) => ({
+    ...state,
+    version: 10,
+    auditLog: [],
+});
+
+const migrations = {
+    1: migrateV1,
+    2: migrateV2,
+    3: migrateV3,
+    4: migrateV4,
+    5: migrateV5,
+    6: migrateV6,
+    7: migrateV7,
+    8: migrateV8,
+    9: migrateV9,
+};
+
+export const migrateState = (state) => {
+    let migrated = { version: 1, ...state };
+
+    while (migrated.version < STATE_VERSION) {
+        migrated = migrations[migrated.version](migrated);
+    }
+
+    if (migrated.version > STATE_VERSION) {
+        throw new Error(`Vault was saved by a newer version (${migrated.version})`);
+    }
+    return migrated;
+};
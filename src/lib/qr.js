@@ -0,0 +1,387 @@
+import { toUtf8Bytes } from "ethers";
+
+// QR Code Model 2 encoder (ISO/IEC 18004), byte mode only. Follows the
+// structure of Project Nayuki's reference implementation: pick the
+// smallest version that fits, add Reed-Solomon error correction per block,
+// interleave, place the codewords and keep the mask with the lowest
+// penalty.
+
+export const EC_LEVELS = ["L", "M", "Q", "H"];
+
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Indexed by version; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+const NUM_ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+// Modules left for codewords once function patterns are placed
+const getNumRawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+};
+
+const getNumDataCodewords = (version, ecLevel) =>
+    Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecLevel][version] * NUM_ERROR_CORRECTION_BLOCKS[ecLevel][version];
+
+// GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1, as QR codes use
+const rsMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const rsDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = rsMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = rsMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const rsRemainder = (data, divisor) => {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= rsMultiply(coefficient, factor);
+        });
+    });
+    return result;
+};
+
+const addEccAndInterleave = (data, version, ecLevel) => {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecLevel][version];
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecLevel][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = rsRemainder(blockData, divisor);
+        if (i < numShortBlocks) {
+            blockData.push(0);
+        }
+        blocks.push([...blockData, ...ecc]);
+    }
+
+    // Short blocks carry a padding byte that is not transmitted
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+};
+
+const getAlignmentPatternPositions = (version, size) => {
+    if (version === 1) {
+        return [];
+    }
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < numAlign; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+};
+
+const createGrid = (version, ecLevel) => {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    const drawFinder = (x, y) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                    setFunction(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    };
+
+    const drawAlignment = (x, y) => {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    };
+
+    const drawFormatBits = (mask) => {
+        const data = (FORMAT_BITS[ecLevel] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) {
+            setFunction(8, i, getBit(bits, i));
+        }
+        setFunction(8, 7, getBit(bits, 6));
+        setFunction(8, 8, getBit(bits, 7));
+        setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            setFunction(14 - i, 8, getBit(bits, i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            setFunction(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunction(8, size - 15 + i, getBit(bits, i));
+        }
+        setFunction(8, size - 8, true);
+    };
+
+    const drawVersion = () => {
+        if (version < 7) {
+            return;
+        }
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    drawFinder(3, 3);
+    drawFinder(size - 4, 3);
+    drawFinder(3, size - 4);
+
+    const positions = getAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+        positions.forEach((y, j) => {
+            // Skip the three corners taken by finder patterns
+            if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                drawAlignment(x, y);
+            }
+        });
+    });
+
+    // Reserve the format area now; the real bits go in once the mask is known
+    drawFormatBits(0);
+    drawVersion();
+
+    return { size, modules, isFunction, drawFormatBits };
+};
+
+const drawCodewords = ({ size, modules, isFunction }, codewords) => {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// XOR is its own inverse, so applying a mask twice removes it
+const applyMask = ({ size, modules, isFunction }, mask) => {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                modules[y][x] = !modules[y][x];
+            }
+        }
+    }
+};
+
+const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+const lineScore = (line) => {
+    let score = 0;
+    let run = 1;
+    for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+            run++;
+        } else {
+            if (run >= 5) {
+                score += 3 + run - 5;
+            }
+            run = 1;
+        }
+    }
+    for (let i = 0; i + 11 <= line.length; i++) {
+        if (FINDER_LIKE.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) {
+            score += 40;
+        }
+    }
+    return score;
+};
+
+const penaltyScore = ({ size, modules }) => {
+    let score = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+        score += lineScore(modules[i]);
+        score += lineScore(modules.map((row) => row[i]));
+    }
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            dark += modules[y][x] ? 1 : 0;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return score + k * 10;
+};
+
+const encodeData = (bytes, version, ecLevel) => {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+
+    const capacity = getNumDataCodewords(version, ecLevel) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+};
+
+// Returns { size, modules } where modules[y][x] is true for dark modules.
+// Text is encoded as UTF-8.
+export const createQrCode = (data, ecLevel = "M") => {
+    const bytes = typeof data === "string" ? toUtf8Bytes(data) : data;
+
+    let version = MIN_VERSION;
+    while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version, ecLevel) * 8) {
+        if (version === MAX_VERSION) {
+            throw new Error("Data too long for a QR code");
+        }
+        version++;
+    }
+
+    const grid = createGrid(version, ecLevel);
+    drawCodewords(grid, addEccAndInterleave(encodeData([...bytes], version, ecLevel), version, ecLevel));
+
+    let bestMask = 0;
+    let bestScore = Infinity;
+    MASKS.forEach((_, mask) => {
+        applyMask(grid, mask);
+        grid.drawFormatBits(mask);
+        const score = penaltyScore(grid);
+        if (score < bestScore) {
+            bestMask = mask;
+            bestScore = score;
+        }
+        applyMask(grid, mask);
+    });
+
+    applyMask(grid, bestMask);
+    grid.drawFormatBits(bestMask);
+
+    return { version, size: grid.size, modules: grid.modules };
+};
@@ -0,0 +1,51 @@
+// Safeguards around secrets. Settings choose how long a copied secret stays
+// on the clipboard and how long revealed secrets stay on screen, in seconds;
+// 0 turns either off. The vault keeps an audit log of every reveal and copy:
+//
+//   [{ at, event, chain, publicKey, profileId }]
+//
+// newest first, where chain and publicKey are null for profile-wide secrets
+// such as the recovery phrase.
+
+export const CLIPBOARD_CLEAR_OPTIONS = [15, 30, 60, 120, 0];
+export const AUTO_HIDE_OPTIONS = [15, 30, 60, 300, 0];
+
+const DEFAULT_SECURITY = { clipboardClearSeconds: 30, autoHideSeconds: 60 };
+
+export const getSecuritySettings = (settings) => ({ ...DEFAULT_SECURITY, ...settings?.security });
+
+export const updateSecuritySettings = (settings, changes) => ({
+    ...settings,
+    security: { ...getSecuritySettings(settings), ...changes },
+});
+
+export const AUDIT_EVENTS = {
+    revealKey: "Private key revealed",
+    copyKey: "Private key copied",
+    exportKey: "Key file exported",
+    revealPhrase: "Recovery phrase revealed",
+    copyPhrase: "Recovery phrase copied",
+    copyShare: "Phrase share copied",
+    printPaperWallet: "Paper wallet opened",
+};
+
+// Oldest entries fall off once the log is full
+const MAX_AUDIT_ENTRIES = 500;
+
+export const appendAuditEntry = (log, { event, wallet = null, profileId = null }) => [
+    {
+        at: Date.now(),
+        event,
+        chain: wallet?.chain ?? null,
+        publicKey: wallet?.publicKey ?? null,
+        profileId,
+    },
+    ...log,
+].slice(0, MAX_AUDIT_ENTRIES);
+
+export const formatDelay = (seconds) => {
+    if (!seconds) {
+        return "Never";
+    }
+    return seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? "" : "s"}`;
+};
@@ -0,0 +1,76 @@
+// Shamir secret sharing over GF(256), byte by byte, with the same field as
+// SLIP-39 and AES (reduction polynomial x^8 + x^4 + x^3 + x + 1)
+
+const EXP = new Uint8Array(255);
+const LOG = new Uint8Array(256);
+
+// 3 generates the multiplicative group of this field
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+
+const multiply = (a, b) =>
+    a === 0 || b === 0 ? 0 : EXP[(LOG[a] + LOG[b]) % 255];
+
+const divide = (a, b) => {
+    if (b === 0) {
+        throw new Error("Division by zero in GF(256)");
+    }
+    return a === 0 ? 0 : EXP[(LOG[a] - LOG[b] + 255) % 255];
+};
+
+export const MAX_SHARES = 255;
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+// Splits `secret` into `shareCount` points { x, y } on random polynomials of
+// degree `threshold - 1`, one polynomial per secret byte. `random` can be
+// replaced to make the split deterministic.
+export const splitSecret = (secret, threshold, shareCount, random = randomBytes) => {
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > shareCount) {
+        throw new Error("Threshold must be between 1 and the number of shares");
+    }
+    if (!Number.isInteger(shareCount) || shareCount > MAX_SHARES) {
+        throw new Error(`At most ${MAX_SHARES} shares are supported`);
+    }
+
+    // coefficients[k][i] is the x^(k+1) coefficient for secret byte i
+    const coefficients = Array.from({ length: threshold - 1 }, () => random(secret.length));
+
+    return Array.from({ length: shareCount }, (_, i) => {
+        const x = i + 1;
+        const y = secret.map((byte, byteIndex) => {
+            // Horner's rule, highest degree first
+            let value = 0;
+            for (let k = coefficients.length - 1; k >= 0; k--) {
+                value = multiply(value, x) ^ coefficients[k][byteIndex];
+            }
+            return multiply(value, x) ^ byte;
+        });
+        return { x, y };
+    });
+};
+
+// Lagrange interpolation at x = 0. Any `threshold` distinct shares of one
+// split give back the secret; fewer give unrelated bytes.
+export const combineShares = (shares) => {
+    const xs = shares.map((share) => share.x);
+    if (new Set(xs).size !== xs.length || xs.includes(0)) {
+        throw new Error("Shares must have distinct, non-zero indexes");
+    }
+
+    const length = shares[0].y.length;
+    if (shares.some((share) => share.y.length !== length)) {
+        throw new Error("Shares have different lengths");
+    }
+
+    const basis = xs.map((xi, i) =>
+        xs.reduce((product, xj, j) => (i === j ? product : multiply(product, divide(xj, xj ^ xi))), 1)
+    );
+
+    return Uint8Array.from({ length }, (_, byteIndex) =>
+        shares.reduce((value, share, i) => value ^ multiply(share.y[byteIndex], basis[i]), 0)
+    );
+};
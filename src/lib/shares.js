@@ -0,0 +1,129 @@
+import { entropyToMnemonic, mnemonicToEntropy } from "bip39";
+import { getBytes, hexlify, randomBytes, sha256 } from "ethers";
+import { combineShares, splitSecret } from "./shamir.js";
+import { WORDLISTS, detectWordlist, getWordlist, normalizeMnemonic } from "./mnemonic.js";
+
+// Recovery phrase shares. The phrase's entropy is split with GF(256) Shamir
+// sharing and each share is written with the BIP39 English wordlist:
+//
+//   version (1) | threshold (1) | index (1) | split id (2) | share value | checksum (4)
+//
+// The high nibble of the version byte is the phrase's position in
+// WORDLISTS, so non-English phrases come back in their own language.
+// The split id keeps shares of different splits from being mixed, and the
+// checksum (first 4 bytes of SHA-256) catches mistyped words. Unlike SLIP-39
+// the restored secret is the original BIP39 phrase, so every wallet derived
+// from it stays the same.
+
+const SHARE_VERSION = 1;
+const HEADER_LENGTH = 5;
+const CHECKSUM_LENGTH = 4;
+const BITS_PER_WORD = 11;
+
+export const MAX_SHARE_COUNT = 16;
+
+const WORDS = getWordlist("english");
+const WORD_INDEX = new Map(WORDS.map((word, index) => [word, index]));
+
+// BIP39 entropy sizes, 12 to 24 words
+const ENTROPY_LENGTHS = [16, 20, 24, 28, 32];
+
+const wordCountFor = (entropyLength) =>
+    Math.ceil(((HEADER_LENGTH + entropyLength + CHECKSUM_LENGTH) * 8) / BITS_PER_WORD);
+
+const checksum = (bytes) => getBytes(sha256(bytes)).slice(0, CHECKSUM_LENGTH);
+
+const bytesToWords = (bytes) => {
+    const bits = Array.from(bytes, (byte) => byte.toString(2).padStart(8, "0")).join("");
+    const padded = bits.padEnd(Math.ceil(bits.length / BITS_PER_WORD) * BITS_PER_WORD, "0");
+
+    return padded.match(/.{11}/g).map((chunk) => WORDS[parseInt(chunk, 2)]);
+};
+
+const encodeShare = (wordlistIndex, id, threshold, { x, y }) => {
+    const body = Uint8Array.from([(wordlistIndex << 4) | SHARE_VERSION, threshold, x, ...id, ...y]);
+    return bytesToWords(Uint8Array.from([...body, ...checksum(body)])).join(" ");
+};
+
+export const splitMnemonic = (mnemonic, threshold, shareCount) => {
+    if (shareCount < 2 || shareCount > MAX_SHARE_COUNT) {
+        throw new Error(`Choose between 2 and ${MAX_SHARE_COUNT} shares`);
+    }
+    if (threshold < 2) {
+        throw new Error("At least 2 shares must be needed to recover");
+    }
+
+    const wordlist = detectWordlist(mnemonic);
+    if (!wordlist) {
+        throw new Error("Invalid recovery phrase");
+    }
+
+    const wordlistIndex = WORDLISTS.indexOf(wordlist);
+    const entropy = getBytes(`0x${mnemonicToEntropy(normalizeMnemonic(mnemonic), getWordlist(wordlist.id))}`);
+    const id = randomBytes(2);
+
+    return splitSecret(entropy, threshold, shareCount).map((share) => encodeShare(wordlistIndex, id, threshold, share));
+};
+
+export const decodeShare = (phrase) => {
+    const words = phrase.trim().toLowerCase().split(/\s+/);
+
+    const entropyLength = ENTROPY_LENGTHS.find((length) => wordCountFor(length) === words.length);
+    if (!entropyLength) {
+        throw new Error(`A share has ${ENTROPY_LENGTHS.map(wordCountFor).join(", ")} words, not ${words.length}`);
+    }
+
+    const unknown = words.find((word) => !WORD_INDEX.has(word));
+    if (unknown) {
+        throw new Error(`"${unknown}" is not a share word`);
+    }
+
+    const bits = words.map((word) => WORD_INDEX.get(word).toString(2).padStart(BITS_PER_WORD, "0")).join("");
+    const byteLength = HEADER_LENGTH + entropyLength + CHECKSUM_LENGTH;
+    if (/1/.test(bits.slice(byteLength * 8))) {
+        throw new Error("Share checksum does not match; check the words");
+    }
+
+    const bytes = Uint8Array.from(bits.slice(0, byteLength * 8).match(/.{8}/g), (chunk) => parseInt(chunk, 2));
+    const body = bytes.slice(0, -CHECKSUM_LENGTH);
+    if (hexlify(checksum(body)) !== hexlify(bytes.slice(-CHECKSUM_LENGTH))) {
+        throw new Error("Share checksum does not match; check the words");
+    }
+
+    const [versionByte, threshold, index] = body;
+    const version = versionByte & 0x0f;
+    const wordlist = WORDLISTS[versionByte >> 4];
+    if (version !== SHARE_VERSION || !wordlist) {
+        throw new Error(`Unsupported share version ${version}`);
+    }
+
+    return {
+        wordlist: wordlist.id,
+        id: hexlify(body.slice(3, HEADER_LENGTH)),
+        threshold,
+        index,
+        value: body.slice(HEADER_LENGTH),
+    };
+};
+
+export const combineMnemonicShares = (phrases) => {
+    if (phrases.length === 0) {
+        throw new Error("Enter the shares to combine");
+    }
+
+    const decoded = phrases.map(decodeShare);
+    const [{ id, threshold, wordlist }] = decoded;
+
+    if (decoded.some((share) => share.id !== id || share.threshold !== threshold || share.wordlist !== wordlist)) {
+        throw new Error("Shares come from different splits");
+    }
+
+    // The same share entered twice only counts once
+    const unique = [...new Map(decoded.map((share) => [share.index, share])).values()];
+    if (unique.length < threshold) {
+        throw new Error(`${threshold} different shares are needed, got ${unique.length}`);
+    }
+
+    const entropy = combineShares(unique.slice(0, threshold).map((share) => ({ x: share.index, y: share.value })));
+    return normalizeMnemonic(entropyToMnemonic(hexlify(entropy).slice(2), getWordlist(wordlist)));
+};
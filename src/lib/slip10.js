@@ -0,0 +1,55 @@
+import { computeHmac, concat, getBytes, toUtf8Bytes } from "ethers";
+
+// SLIP-0010 key derivation for the Ed25519 curve
+// https://github.com/satoshilabs/slips/blob/master/slip-0010.md
+
+const ED25519_CURVE = toUtf8Bytes("ed25519 seed");
+export const HARDENED_OFFSET = 0x80000000;
+
+const hmacSha512 = (key, data) => getBytes(computeHmac("sha512", key, data));
+
+const splitDigest = (digest) => ({
+    key: digest.slice(0, 32),
+    chainCode: digest.slice(32),
+});
+
+// Ed25519 has no public parent -> public child derivation, so every
+// segment after "m" has to be hardened (e.g. m/44'/501'/0'/0')
+export const isValidPath = (path) => {
+    if (!/^m(\/\d+')*$/.test(path)) {
+        return false;
+    }
+
+    return path
+        .split("/")
+        .slice(1)
+        .every((segment) => Number(segment.slice(0, -1)) < HARDENED_OFFSET);
+};
+
+export const getMasterKeyFromSeed = (seed) =>
+    splitDigest(hmacSha512(ED25519_CURVE, getBytes(seed)));
+
+export const deriveChild = ({ key, chainCode }, index) => {
+    if (index < HARDENED_OFFSET) {
+        throw new Error("Ed25519 only supports hardened derivation");
+    }
+
+    const indexBytes = new Uint8Array(4);
+    new DataView(indexBytes.buffer).setUint32(0, index);
+
+    return splitDigest(
+        hmacSha512(chainCode, concat([new Uint8Array([0]), key, indexBytes]))
+    );
+};
+
+export const derivePath = (path, seed) => {
+    if (!isValidPath(path)) {
+        throw new Error(`Invalid derivation path "${path}": Ed25519 only supports hardened segments`);
+    }
+
+    return path
+        .split("/")
+        .slice(1)
+        .map((segment) => Number(segment.slice(0, -1)) + HARDENED_OFFSET)
+        .reduce(deriveChild, getMasterKeyFromSeed(seed));
+};
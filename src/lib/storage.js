@@ -0,0 +1,32 @@
+// Where the vault and its caches are kept. A backend is anything with the
+// Web Storage getItem/setItem/removeItem methods; until one is set, the
+// browser's localStorage is used. Scripts and tests outside a browser set
+// their own, such as the in-memory backend below.
+
+let backend = null;
+
+export const setStorage = (storage) => {
+    backend = storage;
+};
+
+export const getStorage = () => {
+    const storage = backend ?? globalThis.localStorage;
+    if (!storage) {
+        throw new Error("No storage backend; call setStorage first");
+    }
+    return storage;
+};
+
+export const createMemoryStorage = (initial = {}) => {
+    const items = new Map(Object.entries(initial));
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        },
+    };
+};
@@ -0,0 +1,41 @@
+import { getNetworkSettings } from "./networks.js";
+
+// Token lists are the chain's well-known tokens for the selected network
+// plus the ones the user added for it, so tokens deployed on a local
+// validator or anvil fork only show up there. Settings hold the latter as
+//
+//   settings.tokens[chainId][network] = [{ address, symbol, name, decimals? }]
+
+export const getCustomTokens = (settings, chainId) => {
+    const { network } = getNetworkSettings(settings, chainId);
+    return settings?.tokens?.[chainId]?.[network] ?? [];
+};
+
+export const getTokenList = (settings, chain) => {
+    const { network } = getNetworkSettings(settings, chain.id);
+    return [...(chain.tokens[network] ?? []), ...getCustomTokens(settings, chain.id)];
+};
+
+export const findToken = (tokens, address) =>
+    tokens.find((token) => token.address.toLowerCase() === address.toLowerCase());
+
+const withCustomTokens = (settings, chainId, tokens) => {
+    const { network } = getNetworkSettings(settings, chainId);
+    return {
+        ...settings,
+        tokens: {
+            ...settings.tokens,
+            [chainId]: { ...settings.tokens?.[chainId], [network]: tokens },
+        },
+    };
+};
+
+export const addCustomToken = (settings, chainId, token) =>
+    withCustomTokens(settings, chainId, [...getCustomTokens(settings, chainId), token]);
+
+export const removeCustomToken = (settings, chainId, address) =>
+    withCustomTokens(
+        settings,
+        chainId,
+        getCustomTokens(settings, chainId).filter((token) => token.address !== address)
+    );
@@ -0,0 +1,52 @@
+// Vanity address patterns: a prefix and/or suffix for the part of an
+// address after the chain's fixed prefix, matched with or without case
+
+const addressBody = (chain, address) => address.slice(chain.addressPrefix.length);
+
+// Chance that one random address has `char` at a given position
+const charOdds = (chain, char, caseSensitive) => {
+    const alphabet = chain.addressAlphabet;
+    const lower = char.toLowerCase();
+
+    // Lowercase-only alphabets (hex) print letters in EIP-55 checksum case,
+    // which is upper or lower with equal odds
+    if (alphabet === alphabet.toLowerCase()) {
+        if (!alphabet.includes(lower)) {
+            return 0;
+        }
+        return caseSensitive && lower !== char.toUpperCase() ? 1 / (2 * alphabet.length) : 1 / alphabet.length;
+    }
+
+    if (caseSensitive) {
+        return alphabet.includes(char) ? 1 / alphabet.length : 0;
+    }
+    const variants = new Set([lower, char.toUpperCase()]);
+    return [...alphabet].filter((candidate) => variants.has(candidate)).length / alphabet.length;
+};
+
+// Returns a description of what is wrong with the pattern, or null
+export const validateVanityPattern = (chain, pattern) => {
+    const { prefix, suffix, caseSensitive } = pattern;
+    if (!prefix && !suffix) {
+        return "Enter a prefix or a suffix";
+    }
+
+    const invalid = [...`${prefix}${suffix}`].find((char) => charOdds(chain, char, caseSensitive) === 0);
+    if (invalid !== undefined) {
+        return `"${invalid}" never appears in ${chain.name} addresses`;
+    }
+    return null;
+};
+
+// Average number of random addresses to try before one matches
+export const expectedAttempts = (chain, { prefix, suffix, caseSensitive }) =>
+    [...`${prefix}${suffix}`].reduce((attempts, char) => attempts / charOdds(chain, char, caseSensitive), 1);
+
+export const matchesVanityPattern = (chain, address, { prefix, suffix, caseSensitive }) => {
+    const body = caseSensitive ? addressBody(chain, address) : addressBody(chain, address).toLowerCase();
+    const wanted = caseSensitive
+        ? { prefix, suffix }
+        : { prefix: prefix.toLowerCase(), suffix: suffix.toLowerCase() };
+
+    return body.startsWith(wanted.prefix) && body.endsWith(wanted.suffix);
+};
@@ -0,0 +1,172 @@
+import { decodeBase64, encodeBase64, toUtf8Bytes, toUtf8String } from "ethers";
+import { getStorage } from "./storage.js";
+
+// Password-encrypted vault storage. The whole wallet state is sealed with
+// AES-GCM under a key stretched from the password with PBKDF2, and only the
+// ciphertext plus the KDF parameters are ever written to storage (see
+// storage.js).
+
+const VAULT_KEY = "vault";
+const LEGACY_KEYS = ["wallets", "mnemonics", "paths"];
+
+const KDF_ITERATIONS = 600000;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const deriveKey = async (password, kdf) => {
+    const baseKey = await crypto.subtle.importKey(
+        "raw",
+        toUtf8Bytes(password),
+        "PBKDF2",
+        false,
+        ["deriveKey"]
+    );
+
+    return crypto.subtle.deriveKey(
+        {
+            name: "PBKDF2",
+            hash: kdf.hash,
+            salt: decodeBase64(kdf.salt),
+            iterations: kdf.iterations,
+        },
+        baseKey,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+    );
+};
+
+const createKdfParams = () => ({
+    name: "PBKDF2",
+    hash: "SHA-256",
+    iterations: KDF_ITERATIONS,
+    salt: encodeBase64(crypto.getRandomValues(new Uint8Array(16))),
+});
+
+const seal = async ({ key, kdf }, state) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv },
+        key,
+        toUtf8Bytes(JSON.stringify(state))
+    );
+
+    return {
+        version: 1,
+        kdf,
+        cipher: { name: "AES-GCM", iv: encodeBase64(iv) },
+        ciphertext: encodeBase64(new Uint8Array(ciphertext)),
+    };
+};
+
+const open = async (key, payload) => {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: "AES-GCM", iv: decodeBase64(payload.cipher.iv) },
+            key,
+            decodeBase64(payload.ciphertext)
+        );
+    } catch {
+        // AES-GCM only fails authentication when the key is wrong or the
+        // ciphertext was tampered with
+        throw new Error("Incorrect password");
+    }
+
+    return JSON.parse(toUtf8String(new Uint8Array(plaintext)));
+};
+
+// One-off encryption under a fresh salt, for payloads that leave the vault
+// such as backup files
+export const encryptWithPassword = async (password, state) => {
+    const kdf = createKdfParams();
+    return seal({ key: await deriveKey(password, kdf), kdf }, state);
+};
+
+export const decryptWithPassword = async (password, payload) =>
+    open(await deriveKey(password, payload.kdf), payload);
+
+const readPayload = () => {
+    const stored = getStorage().getItem(VAULT_KEY);
+    if (!stored) {
+        throw new Error("No vault found");
+    }
+    return JSON.parse(stored);
+};
+
+const writePayload = (payload) => {
+    getStorage().setItem(VAULT_KEY, JSON.stringify(payload));
+};
+
+export const hasVault = () => getStorage().getItem(VAULT_KEY) !== null;
+
+// Plaintext state written by versions before the vault existed
+export const readLegacyState = () => {
+    const [wallets, mnemonics, paths] = LEGACY_KEYS.map((key) => getStorage().getItem(key));
+    if (!wallets || !mnemonics || !paths) {
+        return null;
+    }
+
+    return {
+        wallets: JSON.parse(wallets),
+        mnemonics: JSON.parse(mnemonics),
+        paths: JSON.parse(paths),
+    };
+};
+
+const removeLegacyState = () => {
+    LEGACY_KEYS.forEach((key) => getStorage().removeItem(key));
+};
+
+// A session holds the derived, non-extractable key so the vault can be
+// re-sealed on every change without running the KDF again
+export const createVault = async (password, state) => {
+    const kdf = createKdfParams();
+    const session = { key: await deriveKey(password, kdf), kdf };
+
+    writePayload(await seal(session, state));
+    removeLegacyState();
+    return session;
+};
+
+export const unlockVault = async (password) => {
+    const payload = readPayload();
+    const session = { key: await deriveKey(password, payload.kdf), kdf: payload.kdf };
+
+    return { session, state: await open(session.key, payload) };
+};
+
+// Throws "Incorrect password" unless `password` opens the stored vault
+export const verifyPassword = async (password) => {
+    await unlockVault(password);
+};
+
+export const saveVault = async (session, state) => {
+    writePayload(await seal(session, state));
+};
+
+// Caches are sealed under the vault key too, since they reveal which
+// addresses the vault holds. After a password change they no longer open
+// and read as empty, which only costs a refetch.
+const CACHE_PREFIX = "cache:";
+
+export const saveCache = async (session, name, data) => {
+    getStorage().setItem(CACHE_PREFIX + name, JSON.stringify(await seal(session, data)));
+};
+
+export const loadCache = async (session, name) => {
+    const stored = getStorage().getItem(CACHE_PREFIX + name);
+    if (!stored) {
+        return null;
+    }
+    try {
+        return await open(session.key, JSON.parse(stored));
+    } catch {
+        return null;
+    }
+};
+
+export const changeVaultPassword = async (currentPassword, newPassword) => {
+    const { state } = await unlockVault(currentPassword);
+    return createVault(newPassword, state);
+};
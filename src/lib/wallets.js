@@ -0,0 +1,54 @@
+import { mnemonicToSeedSync } from "bip39";
+import { getChain } from "./chains/index.js";
+import { defaultPathTemplate } from "./paths.js";
+
+// Wallet records come in four kinds: derived from the profile's recovery
+// phrase, derived with the pre-standard legacy scheme, imported from a
+// standalone private key or key file, or a watch-only public address
+
+export const isImportedWallet = (wallet) => wallet.source === "imported";
+
+// Watch-only entries have a label and note but no private key
+export const isWatchOnlyWallet = (wallet) => wallet.source === "watch";
+
+// Wallets saved before SLIP-0010 (Solana) and BIP32 (Ethereum) derivation
+// carry no derivation tag, and their addresses only exist in this app
+export const isLegacyWallet = (wallet) => !wallet.source && !wallet.derivation;
+
+export const isDerivedWallet = (wallet) => !wallet.source && Boolean(wallet.derivation);
+
+export const walletLabel = (wallet) => {
+    if (isWatchOnlyWallet(wallet)) {
+        return wallet.label || "Watch-only";
+    }
+    return isImportedWallet(wallet) ? "Imported Key" : `Wallet #${wallet.accountIndex + 1}`;
+};
+
+// Imported and watch-only wallets have no account index and are listed
+// after derived ones
+export const compareWallets = (a, b) =>
+    (a.accountIndex ?? Infinity) - (b.accountIndex ?? Infinity);
+
+// A derived wallet record. The app and the CLI both derive through here,
+// so they agree on every address.
+export const buildWallet = (chainId, seed, mnemonic, accountIndex, pathTemplate) => ({
+    chain: chainId,
+    accountIndex,
+    pathTemplate,
+    ...getChain(chainId).deriveWallet(seed, accountIndex, pathTemplate),
+    mnemonic,
+});
+
+export const generateWalletFromMnemonic = (chainId, mnemonic, passphrase, accountIndex, pathTemplate) => {
+    const chain = getChain(chainId);
+    if (!chain) {
+        throw new Error(`Unsupported chain ${chainId}`);
+    }
+    return buildWallet(
+        chainId,
+        mnemonicToSeedSync(mnemonic, passphrase),
+        mnemonic,
+        accountIndex,
+        pathTemplate ?? defaultPathTemplate(chain)
+    );
+};
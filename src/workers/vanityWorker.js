@@ -0,0 +1,36 @@
+import { getChain } from "../lib/chains";
+import { HARDENED_OFFSET } from "../lib/slip10";
+import { matchesVanityPattern } from "../lib/vanity";
+
+const PROGRESS_INTERVAL_MS = 250;
+
+// One search per worker. In "random" mode every attempt is a fresh key; in
+// "mnemonic" mode the worker derives account indexes startIndex,
+// startIndex + stride, ... so a pool of workers covers each index once.
+self.onmessage = ({ data }) => {
+    const { chainId, pattern, mode, seed, pathTemplate, startIndex, stride } = data;
+    const chain = getChain(chainId);
+
+    let attempts = 0;
+    let lastReport = Date.now();
+
+    for (let accountIndex = startIndex; mode === "random" || accountIndex < HARDENED_OFFSET; accountIndex += stride) {
+        const wallet = mode === "mnemonic"
+            ? chain.deriveWallet(seed, accountIndex, pathTemplate)
+            : chain.randomWallet();
+        attempts++;
+
+        if (matchesVanityPattern(chain, wallet.publicKey, pattern)) {
+            self.postMessage({ type: "match", attempts, wallet, accountIndex });
+            return;
+        }
+
+        if (Date.now() - lastReport >= PROGRESS_INTERVAL_MS) {
+            self.postMessage({ type: "progress", attempts });
+            attempts = 0;
+            lastReport = Date.now();
+        }
+    }
+
+    self.postMessage({ type: "exhausted", attempts });
+};
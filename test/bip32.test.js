@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateWalletFromMnemonic, isDerivedWallet, isLegacyWallet } from "../src/lib/index.js";
+
+const ABANDON = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+// The default Hardhat and Anvil development phrase
+const TEST_JUNK = "test test test test test test test test test test test junk";
+
+// Addresses MetaMask, Hardhat and every BIP44 wallet show for these phrases
+const VECTORS = [
+    [TEST_JUNK, 0, "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"],
+    [TEST_JUNK, 1, "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"],
+    [TEST_JUNK, 2, "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"],
+    [ABANDON, 0, "0x9858EfFD232B4033E47d90003D41EC34EcaEda94"],
+    [ABANDON, 1, "0x6Fac4D18c912343BF86fa7049364Dd4E424Ab9C0"],
+];
+
+test("Ethereum wallets match the known BIP44 addresses", () => {
+    VECTORS.forEach(([mnemonic, accountIndex, address]) => {
+        const wallet = generateWalletFromMnemonic("60", mnemonic, "", accountIndex);
+        assert.equal(wallet.path, `m/44'/60'/0'/0/${accountIndex}`);
+        assert.equal(wallet.publicKey, address);
+    });
+});
+
+test("Ethereum private keys match Hardhat's first account", () => {
+    const wallet = generateWalletFromMnemonic("60", TEST_JUNK, "", 0);
+
+    assert.equal(wallet.derivation, "bip32");
+    assert.equal(wallet.privateKey, "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80");
+});
+
+test("wallets without a derivation tag are flagged as legacy", () => {
+    const wallet = generateWalletFromMnemonic("60", TEST_JUNK, "", 0);
+    const { derivation: _derivation, ...legacy } = wallet;
+
+    assert.equal(isDerivedWallet(wallet), true);
+    assert.equal(isLegacyWallet(wallet), false);
+    assert.equal(isLegacyWallet(legacy), true);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PublicKey, SystemProgram, Transaction } from "@solana/web3.js";
+import { encodeBase64, toUtf8Bytes } from "ethers";
+import { generateWalletFromMnemonic, getChain } from "../src/lib/index.js";
+import { addFrame, encodePayload, isFrame, parsePayload, toFrames } from "../src/lib/airgap.js";
+import { createQrCode } from "../src/lib/qr.js";
+
+const TEST_JUNK = "test test test test test test test test test test test junk";
+const message = toUtf8Bytes("Sign in to example.com");
+
+for (const chainId of ["501", "60"]) {
+    const chain = getChain(chainId);
+    const wallet = generateWalletFromMnemonic(chainId, TEST_JUNK, "", 0);
+    const other = generateWalletFromMnemonic(chainId, TEST_JUNK, "", 1);
+
+    test(`${chain.name} signatures verify for the signer only`, async () => {
+        const signature = await chain.signMessage(wallet, message);
+
+        assert.equal(chain.verifyMessage(wallet.publicKey, message, signature), true);
+        assert.equal(chain.verifyMessage(other.publicKey, message, signature), false);
+        assert.equal(chain.verifyMessage(wallet.publicKey, toUtf8Bytes("something else"), signature), false);
+    });
+
+    test(`${chain.name} addresses validate and normalise`, () => {
+        assert.equal(chain.isValidAddress(wallet.publicKey), true);
+        assert.equal(chain.isValidAddress(`${wallet.publicKey}x`), false);
+        assert.equal(chain.normalizeAddress(wallet.publicKey), wallet.publicKey);
+    });
+}
+
+test("Solana key files round trip through importKey", async () => {
+    const solana = getChain("501");
+    const wallet = generateWalletFromMnemonic("501", TEST_JUNK, "", 0);
+
+    const { filename, content } = await solana.exportKey(wallet);
+    assert.equal(filename, "id.json");
+    assert.equal(JSON.parse(content).length, 64);
+    assert.deepEqual(await solana.importKey(content), { publicKey: wallet.publicKey, privateKey: wallet.privateKey });
+});
+
+test("Ethereum raw private keys import to the same account", async () => {
+    const wallet = generateWalletFromMnemonic("60", TEST_JUNK, "", 0);
+    const imported = await getChain("60").importKey(wallet.privateKey);
+
+    assert.equal(imported.publicKey, wallet.publicKey);
+});
+
+test("payment URIs follow Solana Pay and EIP-681", () => {
+    const solanaAddress = "HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk";
+    const ethereumAddress = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+    assert.equal(getChain("501").paymentUri(solanaAddress), `solana:${solanaAddress}`);
+    assert.equal(getChain("501").paymentUri(solanaAddress, { amount: 1500000000n }), `solana:${solanaAddress}?amount=1.5`);
+    assert.equal(getChain("501").paymentUri(solanaAddress, { amount: 2000000000n }), `solana:${solanaAddress}?amount=2`);
+    assert.equal(
+        getChain("60").paymentUri(ethereumAddress, { amount: 10n ** 18n, network: "mainnet" }),
+        `ethereum:${ethereumAddress}@1?value=1000000000000000000`
+    );
+    assert.equal(getChain("60").paymentUri(ethereumAddress, { network: "custom" }), `ethereum:${ethereumAddress}`);
+});
+
+test("Solana transfers sign offline and decode on the way back", async () => {
+    const solana = getChain("501");
+    const wallet = generateWalletFromMnemonic("501", TEST_JUNK, "", 0);
+    const recipient = generateWalletFromMnemonic("501", TEST_JUNK, "", 1);
+
+    const unsigned = encodeBase64(new Transaction({
+        feePayer: new PublicKey(wallet.publicKey),
+        blockhash: PublicKey.default.toBase58(),
+        lastValidBlockHeight: 0,
+    }).add(SystemProgram.transfer({
+        fromPubkey: new PublicKey(wallet.publicKey),
+        toPubkey: new PublicKey(recipient.publicKey),
+        lamports: 1500000000n,
+    })).serializeMessage());
+
+    const request = parsePayload(encodePayload({ kind: "unsigned", chainId: "501", signer: wallet.publicKey, data: unsigned }), "unsigned");
+    assert.equal(request.chain, solana);
+    assert.deepEqual(request.decoded.signers, [wallet.publicKey]);
+    assert.ok(request.decoded.rows.some(({ value }) => value.includes("1.5 SOL")));
+
+    const signed = parsePayload(await solana.signUnsigned(wallet, request.data), "signed");
+    assert.equal(signed.chain, solana);
+    assert.equal(signed.decoded.transfer.id, signed.decoded.id);
+    // Status checks fall back to the blockhash to notice an expired transfer
+    assert.equal(signed.decoded.transfer.blockhash, PublicKey.default.toBase58());
+});
+
+test("Ethereum transactions sign offline from JSON", async () => {
+    const ethereum = getChain("60");
+    const wallet = generateWalletFromMnemonic("60", TEST_JUNK, "", 0);
+    const unsigned = JSON.stringify({
+        from: wallet.publicKey,
+        to: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+        value: "1000000000000000000",
+        nonce: 0,
+        gas: "21000",
+        maxFeePerGas: "30000000000",
+        maxPriorityFeePerGas: "1000000000",
+        chainId: 1,
+    });
+
+    const request = parsePayload(encodePayload({ kind: "unsigned", chainId: "60", signer: wallet.publicKey, data: unsigned }), "unsigned");
+    assert.deepEqual(request.decoded.signers, [wallet.publicKey]);
+
+    const signed = ethereum.decodeSigned(await ethereum.signUnsigned(wallet, request.data));
+    assert.deepEqual(signed.rows[0], { label: "From", value: wallet.publicKey });
+    assert.throws(() => parsePayload(`signed:60::${unsigned}`, "unsigned"), /signed transaction/);
+});
+
+test("long payloads split into frames and reassemble in any order", () => {
+    const payload = `unsigned:501::${"A".repeat(950)}`;
+    const frames = toFrames(payload);
+    assert.ok(frames.length > 1);
+    assert.ok(frames.every(isFrame));
+    assert.equal(isFrame(payload), false);
+
+    const progress = [...frames].reverse().reduce(addFrame, null);
+    assert.equal(progress.payload, payload);
+
+    // A frame of another payload starts over instead of mixing the two
+    const restarted = addFrame(addFrame(null, frames[0]), toFrames(`signed:60::${"B".repeat(950)}`)[1]);
+    assert.equal(restarted.received, 1);
+    assert.equal(restarted.payload, null);
+
+    const tampered = frames.map((frame, i) => (i === 0 ? frame.replace(/A$/, "B") : frame));
+    assert.throws(() => tampered.reduce(addFrame, null), /do not add up/);
+});
+
+test("QR codes pick the smallest version that fits", () => {
+    // Version 1 holds 14 bytes at level M and 17 at level L
+    assert.equal(createQrCode("A".repeat(14), "M").size, 21);
+    assert.equal(createQrCode("A".repeat(15), "M").size, 25);
+    assert.equal(createQrCode("A".repeat(17), "L").version, 1);
+
+    const { modules } = createQrCode("solana:HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk");
+    // Finder pattern corners are always dark
+    assert.equal(modules[0][0], true);
+    assert.equal(modules[0][modules.length - 1], true);
+    assert.equal(modules[modules.length - 1][0], true);
+});
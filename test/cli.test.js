@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { toUtf8Bytes } from "ethers";
+import { getChain } from "../src/lib/index.js";
+
+const CLI = new URL("../bin/wallet.js", import.meta.url).pathname;
+let dir;
+let mnemonicFile;
+
+const run = async (...args) => (await promisify(execFile)(process.execPath, [CLI, ...args])).stdout.trim();
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), "wallet-cli-"));
+    mnemonicFile = join(dir, "mnemonic.txt");
+    writeFileSync(mnemonicFile, "test test test test test test test test test test test junk\n");
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test("derive prints the same address as the app", async () => {
+    assert.equal(
+        await run("derive", "--mnemonic-file", mnemonicFile, "--chain", "ethereum"),
+        "m/44'/60'/0'/0/0\t0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"
+    );
+});
+
+test("list walks account indexes on the chosen path template", async () => {
+    const wallets = JSON.parse(await run(
+        "list", "--mnemonic-file", mnemonicFile, "--chain", "60", "--index", "1", "--count", "2", "--json"
+    ));
+
+    assert.deepEqual(wallets.map(({ index, path }) => [index, path]), [[1, "m/44'/60'/0'/0/1"], [2, "m/44'/60'/0'/0/2"]]);
+    assert.equal(wallets[0].address, "0x70997970C51812dc3A010C7d01b50e0d17dc79C8");
+
+    const ledger = JSON.parse(await run(
+        "derive", "--mnemonic-file", mnemonicFile, "--chain", "60", "--path-template", "m/44'/60'/n'/0/0", "--index", "1", "--json"
+    ));
+    assert.equal(ledger.path, "m/44'/60'/1'/0/0");
+});
+
+test("export prints the key or writes the chain's key file", async () => {
+    assert.equal(
+        await run("export", "--mnemonic-file", mnemonicFile, "--chain", "ethereum"),
+        "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80"
+    );
+
+    const out = join(dir, "id.json");
+    const { address } = JSON.parse(await run("export", "--mnemonic-file", mnemonicFile, "--out", out, "--json"));
+    const imported = await getChain("501").importKey(readFileSync(out, "utf8"));
+    assert.equal(imported.publicKey, address);
+});
+
+test("sign produces signatures the chain verifies", async () => {
+    const { address, signature } = JSON.parse(await run(
+        "sign", "--mnemonic-file", mnemonicFile, "--message", "hello", "--json"
+    ));
+
+    assert.equal(getChain("501").verifyMessage(address, toUtf8Bytes("hello"), signature), true);
+});
+
+test("bad input exits with a message", async () => {
+    const badFile = join(dir, "bad.txt");
+    writeFileSync(badFile, "not a recovery phrase");
+
+    await assert.rejects(run("derive", "--mnemonic-file", badFile), /valid BIP39 phrase/);
+    await assert.rejects(run("derive", "--mnemonic-file", mnemonicFile, "--chain", "bitcoin"), /Unknown chain/);
+    await assert.rejects(run("sign", "--mnemonic-file", mnemonicFile), /--message or --message-file/);
+});
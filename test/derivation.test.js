@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mnemonicToSeedSync } from "bip39";
+import {
+    detectWordlist,
+    expandPathTemplate,
+    generateWalletFromMnemonic,
+    getChain,
+    validatePathTemplate,
+} from "../src/lib/index.js";
+
+const ABANDON = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+// The default Hardhat and Anvil development phrase
+const TEST_JUNK = "test test test test test test test test test test test junk";
+
+test("BIP39 seeds match the reference vectors", () => {
+    assert.equal(
+        mnemonicToSeedSync(ABANDON, "TREZOR").toString("hex"),
+        "c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04"
+    );
+    assert.equal(detectWordlist(ABANDON).id, "english");
+    assert.equal(detectWordlist(ABANDON.replace("about", "abandon")), null);
+});
+
+test("path templates put the account index in place of n", () => {
+    const ethereum = getChain("60");
+    const solana = getChain("501");
+
+    assert.equal(expandPathTemplate("m/44'/60'/n'/0/0", 3), "m/44'/60'/3'/0/0");
+    assert.equal(validatePathTemplate(ethereum, "m/44'/60'/0'/0/n"), null);
+    assert.match(validatePathTemplate(ethereum, "m/44'/60'/0'/0/0"), /exactly once/);
+    assert.match(validatePathTemplate(solana, "m/44'/501'/n'/0"), /hardened/);
+
+    const ledger = generateWalletFromMnemonic("60", TEST_JUNK, "", 2, "m/44'/60'/n'/0/0");
+    assert.equal(ledger.path, "m/44'/60'/2'/0/0");
+    assert.equal(ledger.pathTemplate, "m/44'/60'/n'/0/0");
+});
+
+test("unknown chains are rejected", () => {
+    assert.throws(() => generateWalletFromMnemonic("0", ABANDON, "", 0), /Unsupported chain/);
+});
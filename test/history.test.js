@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendOlder, mergeLatest } from "../src/lib/history.js";
+
+const item = (id) => ({ id, amount: "1", fee: "0" });
+
+test("a refresh adds only new items on top of an overlapping cache", () => {
+    const cached = { items: [item("b"), item("a")], cursor: "a", fetchedAt: 1 };
+    const merged = mergeLatest({ ...cached, loading: true }, { items: [item("c"), item("b")], cursor: "b" });
+
+    assert.deepEqual(merged.items.map(({ id }) => id), ["c", "b", "a"]);
+    assert.equal(merged.cursor, "a");
+    assert.equal(merged.loading, undefined);
+
+    // No overlap may leave a gap, so the page starts the cache over
+    const replaced = mergeLatest(cached, { items: [item("e"), item("d")], cursor: "d" });
+    assert.deepEqual(replaced.items.map(({ id }) => id), ["e", "d"]);
+    assert.equal(replaced.cursor, "d");
+});
+
+test("loading an older page appends it and ends the loading state", () => {
+    // useHistory flags the entry as loading while the page is fetched
+    const loading = { items: [item("c"), item("b")], cursor: "b", fetchedAt: 1, loading: true, error: undefined };
+    const entry = appendOlder(loading, { items: [item("b"), item("a")], cursor: null });
+
+    assert.deepEqual(entry.items.map(({ id }) => id), ["c", "b", "a"]);
+    assert.equal(entry.cursor, null);
+    assert.equal(entry.fetchedAt, 1);
+    assert.ok(!entry.loading);
+});
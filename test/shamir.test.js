@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { combineShares, splitSecret } from "../src/lib/shamir.js";
+import { combineMnemonicShares, decodeShare, splitMnemonic } from "../src/lib/shares.js";
+
+const ABANDON = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+// Hands out fixed coefficients so splits are reproducible
+const fixedRandom = (...coefficients) => {
+    const queue = coefficients.map((bytes) => Uint8Array.from(bytes));
+    return () => queue.shift();
+};
+
+test("GF(256) arithmetic matches the AES field", () => {
+    // FIPS-197 section 4.2: {57} • {83} = {c1}. With a zero secret and
+    // threshold 2, share x is the coefficient times x.
+    const shares = splitSecret(Uint8Array.of(0x00), 2, 0x83, fixedRandom([0x57]));
+
+    assert.equal(shares[0x82].x, 0x83);
+    assert.equal(hex(shares[0x82].y), "c1");
+});
+
+test("splits with fixed coefficients give the expected shares", () => {
+    const secret = Uint8Array.of(0x53, 0x00, 0xff, 0x12);
+    const shares = splitSecret(secret, 3, 5, fixedRandom([0x01, 0x02, 0x03, 0x04], [0xa5, 0x5a, 0x00, 0xff]));
+
+    // Evaluated independently with carry-less multiplication mod 0x11b
+    assert.deepEqual(shares.map(({ x, y }) => [x, hex(y)]), [
+        [1, "f758fce9"],
+        [2, "f377f9cb"],
+        [3, "572ffa30"],
+        [4, "e9dff36b"],
+        [5, "4d87f090"],
+    ]);
+    assert.equal(hex(combineShares([shares[4], shares[0], shares[2]])), hex(secret));
+    assert.equal(hex(combineShares([shares[1], shares[3], shares[4]])), hex(secret));
+    assert.notEqual(hex(combineShares([shares[1], shares[3]])), hex(secret));
+});
+
+test("invalid splits and share sets are rejected", () => {
+    const secret = Uint8Array.of(1, 2, 3);
+
+    assert.throws(() => splitSecret(secret, 4, 3), /Threshold must be between/);
+    assert.throws(() => splitSecret(secret, 0, 3), /Threshold must be between/);
+    assert.throws(() => splitSecret(secret, 2, 256), /At most 255 shares/);
+
+    const shares = splitSecret(secret, 2, 3);
+    assert.throws(() => combineShares([shares[0], shares[0]]), /distinct, non-zero/);
+    assert.throws(() => combineShares([shares[0], { x: 2, y: Uint8Array.of(1) }]), /different lengths/);
+});
+
+test("recovery phrases split into shares and recombine from any threshold", () => {
+    const shares = splitMnemonic(ABANDON, 2, 3);
+
+    assert.equal(combineMnemonicShares([shares[0], shares[2]]), ABANDON);
+    assert.equal(combineMnemonicShares([shares[2], shares[1]]), ABANDON);
+    assert.equal(decodeShare(shares[1]).threshold, 2);
+    assert.equal(decodeShare(shares[1]).index, 2);
+});
+
+test("too few shares are rejected", () => {
+    const shares = splitMnemonic(ABANDON, 3, 5);
+
+    assert.throws(() => combineMnemonicShares([shares[1], shares[3]]), /3 different shares are needed, got 2/);
+    assert.throws(() => combineMnemonicShares([shares[1], shares[3], shares[1]]), /3 different shares are needed, got 2/);
+    assert.throws(() => combineMnemonicShares([]), { name: "Error", message: "Enter the shares to combine" });
+});
+
+test("corrupted and mixed shares are rejected", () => {
+    const [first, second] = splitMnemonic(ABANDON, 2, 2);
+    const words = first.split(" ");
+    const corrupted = [...words.slice(0, 6), words[6] === "zoo" ? "zone" : "zoo", ...words.slice(7)].join(" ");
+
+    assert.throws(() => decodeShare(corrupted), /checksum does not match/);
+    assert.throws(() => combineMnemonicShares([corrupted, second]), /checksum does not match/);
+    assert.throws(() => decodeShare(`${words.slice(0, -1).join(" ")} notaword`), /"notaword" is not a share word/);
+    assert.throws(() => decodeShare(words.slice(1).join(" ")), /A share has/);
+
+    // Split ids are random, so split again until they differ
+    let other;
+    do {
+        [, other] = splitMnemonic(ABANDON, 2, 2);
+    } while (decodeShare(other).id === decodeShare(first).id);
+    assert.throws(() => combineMnemonicShares([first, other]), /different splits/);
+});
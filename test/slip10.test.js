@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hexlify } from "ethers";
+import { derivePath, generateWalletFromMnemonic, isValidPath } from "../src/lib/index.js";
+
+// https://github.com/satoshilabs/slips/blob/master/slip-0010.md#test-vectors
+const VECTORS = [
+    {
+        seed: "0x000102030405060708090a0b0c0d0e0f",
+        paths: {
+            "m": ["0x2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7", "0x90046a93de5380a72b5e45010748567d5ea02bbf6522f979e05c0d8d8ca9fffb"],
+            "m/0'": ["0x68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3", "0x8b59aa11380b624e81507a27fedda59fea6d0b779a778918a2fd3590e16e9c69"],
+            "m/0'/1'": ["0xb1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2", "0xa320425f77d1b5c2505a6b1b27382b37368ee640e3557c315416801243552f14"],
+            "m/0'/1'/2'": ["0x92a5b23c0b8a99e37d07df3fb9966917f5d06e02ddbd909c7e184371463e9fc9", "0x2e69929e00b5ab250f49c3fb1c12f252de4fed2c1db88387094a0f8c4c9ccd6c"],
+            "m/0'/1'/2'/2'": ["0x30d1dc7e5fc04c31219ab25a27ae00b50f6fd66622f6e9c913253d6511d1e662", "0x8f6d87f93d750e0efccda017d662a1b31a266e4a6f5993b15f5c1f07f74dd5cc"],
+            "m/0'/1'/2'/2'/1000000000'": ["0x8f94d394a8e8fd6b1bc2f3f49f5c47e385281d5c17e65324b0f62483e37e8793", "0x68789923a0cac2cd5a29172a475fe9e0fb14cd6adb5ad98a3fa70333e7afa230"],
+        },
+    },
+    {
+        seed: "0xfffcf9f6f3f0edeae7e4e1dedbd8d5d2cfccc9c6c3c0bdbab7b4b1aeaba8a5a29f9c999693908d8a8784817e7b7875726f6c696663605d5a5754514e4b484542",
+        paths: {
+            "m": ["0x171cb88b1b3c1db25add599712e36245d75bc65a1a5c9e18d76f9f2b1eab4012", "0xef70a74db9c3a5af931b5fe73ed8e1a53464133654fd55e7a66f8570b8e33c3b"],
+            "m/0'": ["0x1559eb2bbec5790b0c65d8693e4d0875b1747f4970ae8b650486ed7470845635", "0x0b78a3226f915c082bf118f83618a618ab6dec793752624cbeb622acb562862d"],
+        },
+    },
+];
+
+VECTORS.forEach(({ seed, paths }, vector) => {
+    test(`SLIP-0010 Ed25519 test vector ${vector + 1}`, () => {
+        Object.entries(paths).forEach(([path, [key, chainCode]]) => {
+            const derived = derivePath(path, seed);
+            assert.equal(hexlify(derived.key), key, `${path} key`);
+            assert.equal(hexlify(derived.chainCode), chainCode, `${path} chain code`);
+        });
+    });
+});
+
+test("SLIP-0010 rejects unhardened segments", () => {
+    assert.equal(isValidPath("m/44'/501'/0'/0'"), true);
+    assert.equal(isValidPath("m/44'/501'/0'/0"), false);
+    assert.equal(isValidPath("m/44/501'"), false);
+    assert.throws(() => derivePath("m/44'/0", VECTORS[0].seed), /hardened/);
+    assert.throws(() => derivePath("m/2147483648'", VECTORS[0].seed), /hardened/);
+});
+
+test("Solana wallets match Phantom's first account", () => {
+    const wallet = generateWalletFromMnemonic(
+        "501",
+        "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about",
+        "",
+        0
+    );
+
+    assert.equal(wallet.path, "m/44'/501'/0'/0'");
+    assert.equal(wallet.derivation, "slip10");
+    assert.equal(wallet.publicKey, "HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk");
+});
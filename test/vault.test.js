@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    STATE_VERSION,
+    createMemoryStorage,
+    createState,
+    createVault,
+    getStorage,
+    hasVault,
+    loadCache,
+    migrateState,
+    saveCache,
+    saveVault,
+    setStorage,
+    unlockVault,
+    verifyPassword,
+} from "../src/lib/index.js";
+import { readLegacyState } from "../src/lib/vault.js";
+
+const PASSWORD = "correct horse battery";
+
+beforeEach(() => {
+    setStorage(createMemoryStorage());
+});
+
+test("a vault opens with its password and only with it", async () => {
+    assert.equal(hasVault(), false);
+
+    const state = createState();
+    await createVault(PASSWORD, state);
+    assert.equal(hasVault(), true);
+    assert.doesNotMatch(getStorage().getItem("vault"), /Default/);
+
+    const { state: restored } = await unlockVault(PASSWORD);
+    assert.deepEqual(restored, state);
+
+    await assert.rejects(unlockVault("wrong password"), /Incorrect password/);
+    await assert.rejects(verifyPassword("wrong password"), /Incorrect password/);
+});
+
+test("saving re-seals the state with the session key", async () => {
+    const session = await createVault(PASSWORD, createState());
+    const updated = { ...createState(), addressBook: [{ id: "1", chain: "60", address: "0x0", name: "Me", note: "" }] };
+
+    await saveVault(session, updated);
+    assert.deepEqual((await unlockVault(PASSWORD)).state, updated);
+});
+
+test("caches read back under the same session and as null otherwise", async () => {
+    const session = await createVault(PASSWORD, createState());
+
+    await saveCache(session, "history", { a: [1, 2] });
+    assert.deepEqual(await loadCache(session, "history"), { a: [1, 2] });
+    assert.equal(await loadCache(session, "missing"), null);
+
+    setStorage(createMemoryStorage({ vault: getStorage().getItem("vault"), "cache:history": "{}" }));
+    assert.equal(await loadCache(session, "history"), null);
+});
+
+test("plaintext state from before the vault is migrated on creation", async () => {
+    const storage = createMemoryStorage({
+        wallets: JSON.stringify([]),
+        mnemonics: JSON.stringify([]),
+        paths: JSON.stringify([]),
+    });
+    setStorage(storage);
+
+    const state = migrateState(readLegacyState());
+    assert.equal(state.version, STATE_VERSION);
+    assert.deepEqual(state.auditLog, []);
+
+    await createVault(PASSWORD, state);
+    assert.equal(storage.getItem("wallets"), null);
+});
+
+test("newer vaults are refused", () => {
+    assert.throws(() => migrateState({ ...createState(), version: STATE_VERSION + 1 }), /newer version/);
+});